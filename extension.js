@@ -1,9 +1,23 @@
 import { Extension, gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
+import { AppDetection } from './lib/globals.js';
+import { NoteStore } from './lib/noteStore.js';
 import { StickyNotesInterface } from './shell/stickyNotesInterface.js';
+import { MultiWindowHandler } from './shell/multiWindowHandler.js';
 import { BackgroundMenuOverride } from './shell/backgroundMenuOverride.js';
 import { StickyNotesIndicator } from './shell/stickyNotesIndicator.js';
+import { StickyNotesSearchProvider } from './shell/stickyNotesSearchProvider.js';
+import { KeybindingHandler } from './shell/keybindingHandler.js';
+import { NoteLayoutManager } from './shell/noteLayoutManager.js';
+import { NoteWorkspaceHandler } from './shell/noteWorkspaceHandler.js';
+import { NoteLayerHandler } from './shell/noteLayerHandler.js';
+import { NoteRescuer } from './shell/noteRescuer.js';
+import { NoteBackupScheduler } from './shell/noteBackupScheduler.js';
+import { NoteMirror } from './shell/noteMirror.js';
+import { NoteReminders } from './shell/noteReminders.js';
+import { NoteTrash } from './shell/noteTrash.js';
+import { DBusService } from './shell/dbusService.js';
 
 //------------------------------------------------------------------------------
 /// @brief This class describes a sticky notes integration extension.
@@ -15,14 +29,55 @@ export default class StickyNotesIntegrationExtension extends Extension {
     enable() {
         this._settings = this.getSettings();
 
-        this._sticky_notes = new StickyNotesInterface(this);
+        // Sticky Notes executable/version are detected asynchronously, launches wait for it (cf. StickyNotesInterface.launch())
+        AppDetection.watch();
+
+        this._note_store = new NoteStore();
+        this._note_store.watch();
+        MultiWindowHandler.useNoteStore(this._note_store);
+
+        this._sticky_notes = new StickyNotesInterface(this, this._note_store);
         this._sticky_notes.track();
 
-        this._sticky_indicator = new StickyNotesIndicator(this, this._sticky_notes);
+        this._note_layouts = new NoteLayoutManager(this, this._sticky_notes);
+        this._note_layouts.enable();
+
+        this._note_workspaces = new NoteWorkspaceHandler(this, this._sticky_notes, this._note_store);
+        this._note_workspaces.enable();
+
+        this._note_layers = new NoteLayerHandler(this, this._sticky_notes);
+        this._note_layers.enable();
+
+        this._note_rescuer = new NoteRescuer(this, this._sticky_notes);
+        this._note_rescuer.enable();
+
+        this._note_mirror = new NoteMirror(this, this._note_store);
+        this._note_mirror.enable();
+
+        this._note_reminders = new NoteReminders(this, this._sticky_notes, this._note_store);
+        this._note_reminders.enable();
+
+        this._note_trash = new NoteTrash(this, this._sticky_notes, this._note_store);
+        this._note_trash.enable();
+
+        this._sticky_indicator = new StickyNotesIndicator(this, this._sticky_notes, this._note_layouts, this._note_layers, this._note_mirror, this._note_trash);
         this._sticky_indicator.enable();
 
         this._background_menu = new BackgroundMenuOverride(this, this._sticky_notes);
         this._background_menu.enable();
+
+        this._search_provider = new StickyNotesSearchProvider(this, this._sticky_notes);
+        this._search_provider.enable();
+
+        this._keybindings = new KeybindingHandler(this, this._sticky_notes);
+        this._keybindings.enable();
+        this._keybindings.add('capture-shortcut', () => this._sticky_indicator?.capture());
+
+        this._note_backups = new NoteBackupScheduler(this, this._sticky_notes);
+        this._note_backups.enable();
+
+        this._dbus_service = new DBusService(this._sticky_notes, this._note_backups);
+        this._dbus_service.enable();
     }
 
     //--------------------------------------------------------------------------
@@ -31,6 +86,33 @@ export default class StickyNotesIntegrationExtension extends Extension {
     disable() {
         this._settings = null;
 
+        AppDetection.unwatch();
+
+        MultiWindowHandler.useNoteStore(null);
+        this._note_store?.unwatch();
+        this._note_store = null;
+
+        this._note_layouts?.disable();
+        this._note_layouts = null;
+
+        this._note_workspaces?.disable();
+        this._note_workspaces = null;
+
+        this._note_layers?.disable();
+        this._note_layers = null;
+
+        this._note_rescuer?.disable();
+        this._note_rescuer = null;
+
+        this._note_mirror?.disable();
+        this._note_mirror = null;
+
+        this._note_reminders?.disable();
+        this._note_reminders = null;
+
+        this._note_trash?.disable();
+        this._note_trash = null;
+
         this._sticky_notes?.untrack();
         this._sticky_notes = null;
 
@@ -39,5 +121,17 @@ export default class StickyNotesIntegrationExtension extends Extension {
 
         this._background_menu?.revert();
         this._background_menu = null;
+
+        this._search_provider?.disable();
+        this._search_provider = null;
+
+        this._keybindings?.disable();
+        this._keybindings = null;
+
+        this._dbus_service?.disable();
+        this._dbus_service = null;
+
+        this._note_backups?.disable();
+        this._note_backups = null;
     }
 }
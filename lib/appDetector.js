@@ -0,0 +1,201 @@
+import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { first_available, safe_disconnect } from './utils.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class that detects an application executable and probes its version, asynchronously.
+///
+/// @note  Results are cached until installed applications change (e.g. app installed or updated while the session runs, as reported
+///        by Gio.AppInfoMonitor), which triggers a new detection while watching. Until first detection completes, 'detecting' is set
+///        and 'process'/'version' are null/empty, hence consumers should wait for 'changed' (cf. whenDetected()).
+///
+export const AppDetector = GObject.registerClass({
+    GTypeName: 'StickyNotesAppDetector',
+    Properties: {
+        'detecting': GObject.ParamSpec.boolean(
+            'detecting', 'detecting', 'Whether app is still being detected (i.e. first detection pending)',
+            GObject.ParamFlags.READABLE, false
+        ),
+    },
+    Signals: {
+        'changed': { },
+    },
+}, class AppDetector extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Maximum duration of version probe, in seconds.
+    ///
+    /// @type       {Number}
+    ///
+    static get _PROBE_TIMEOUT() { return 10; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {Array}   commands    Candidate executables (cf. first_available()).
+    ///
+    /// @note  Nothing is detected on construction (i.e. on module import), cf. detect() and watch().
+    ///
+    constructor(commands) {
+        super();
+
+        this._commands = commands;
+        this._process = null;
+        this._version = '';
+        this._detected = false;
+        this._detecting = false;
+        this._cancellable = null;
+        this._monitor_id = null;
+        this._pending = [];  // whenDetected() callbacks
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Detected executable.
+    ///
+    /// @type       {String}  Executable name, or null if not installed (or still detecting).
+    ///
+    get process() {
+        return this._process;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Detected version.
+    ///
+    /// @type       {String}  Version (as <major>.<minor>.<patch>), or empty if unknown (or still detecting).
+    ///
+    get version() {
+        return this._version;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Whether first detection is pending or in progress i.e. 'process' and 'version' are not known yet.
+    ///
+    /// @type       {Boolean}
+    ///
+    /// @note  Later detections (cf. watch()) keep previous results meanwhile.
+    ///
+    get detecting() {
+        return !this._detected;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Starts detection, and detects again whenever installed applications change.
+    ///
+    watch() {
+        if (this._monitor_id) {
+            return;
+        }
+
+        this._monitor_id = Gio.AppInfoMonitor.get().connect('changed', this.detect.bind(this));
+        if (!this._detected) {
+            this.detect();
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops watching installed applications, cancelling ongoing detection and pending callbacks (cached results are kept).
+    ///
+    unwatch() {
+        safe_disconnect(Gio.AppInfoMonitor.get(), this._monitor_id);
+        this._monitor_id = null;
+
+        this._cancellable?.cancel();
+        this._cancellable = null;
+        this._detecting = false;
+        this._pending.length = 0;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Calls given *callback* once detection has completed (i.e. immediately if not detecting).
+    ///
+    /// @param      {Function}  callback    Called with detected executable (null if not installed).
+    ///
+    whenDetected(callback) {
+        if (this._detected) {
+            callback(this._process);
+            return;
+        }
+
+        this._pending.push(callback);
+        if (!this._detecting) {
+            this.detect();
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Detects executable and probes its version (through '<executable> -v'), asynchronously, emitting 'changed' once done.
+    ///
+    detect() {
+        this._cancellable?.cancel();
+        const cancellable = this._cancellable = new Gio.Cancellable();
+        this._detecting = true;
+
+        const process = first_available(this._commands);
+        if (!process) {
+            this._update(null, '');
+            return;
+        }
+
+        let proc = null;
+        try {
+            proc = Gio.Subprocess.new([process, '-v'], Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_SILENCE);
+        } catch (error) {
+            console.debug(this.constructor.name + `: unable to probe '${process}' version (${error.message})`);
+            this._update(process, '');
+            return;
+        }
+
+        let timeout_id = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, AppDetector._PROBE_TIMEOUT, () => {
+            timeout_id = null;
+            proc.force_exit();
+            return GLib.SOURCE_REMOVE;
+        });
+        proc.communicate_utf8_async(null, cancellable, (proc, res) => {
+            if (timeout_id) {
+                GLib.source_remove(timeout_id);
+            }
+            let version = '';
+            try {
+                const [, stdout] = proc.communicate_utf8_finish(res);
+                version = (stdout ?? '').split('\n')[0].trim();
+                if (version.length >= 10 /* hard threshold */) {
+                    version = '';
+                }
+            } catch (error) {
+                if (error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    proc.force_exit();
+                    return;
+                }
+                console.debug(this.constructor.name + `: unable to probe '${process}' version (${error.message})`);
+            }
+            this._update(process, version);
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Caches detection results and emits 'changed'.
+    ///
+    _update(process, version) {
+        const first = !this._detected;
+        const changed = first || process !== this._process || version !== this._version;
+
+        this._process = process;
+        this._version = version;
+        this._detected = true;
+        this._detecting = false;
+        this._cancellable = null;
+        if (first) {
+            this.notify('detecting');
+        }
+
+        for (const callback of this._pending.splice(0)) {
+            callback(process);
+        }
+
+        if (changed) {
+            console.debug(this.constructor.name + `: detected '${process}' [${version || 'unknown version'}]`);
+            this.emit('changed');
+        }
+    }
+});
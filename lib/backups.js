@@ -0,0 +1,397 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { AppInfo } from './globals.js';
+
+//------------------------------------------------------------------------------
+/// @brief Prefix/suffix of backup archive file names, as <prefix><YYYYMMDD-HHMMSS><suffix>.
+///
+const BACKUP_PREFIX = 'notes-';
+const BACKUP_SUFFIX = '.tar.gz';
+
+//------------------------------------------------------------------------------
+/// @brief Pattern of backup archive file names, capturing date and time fields (cf. BACKUP_PREFIX and BACKUP_SUFFIX).
+///
+const BACKUP_PATTERN = (() => {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    return new RegExp(`^${escape(BACKUP_PREFIX)}(\\d{4})(\\d{2})(\\d{2})-(\\d{2})(\\d{2})(\\d{2})${escape(BACKUP_SUFFIX)}$`);
+})();
+
+//------------------------------------------------------------------------------
+/// @brief Gets note directory.
+///
+/// @return     {String}  Path to note directory (cf. AppInfo['note-path']).
+///
+export function note_dir() {
+    return GLib.build_filenamev([GLib.get_home_dir(), AppInfo['note-path']]);
+}
+
+//------------------------------------------------------------------------------
+/// @brief Gets backup directory from extension settings.
+///
+/// @param      {Gio.Settings}  settings    Extension settings.
+///
+/// @return     {String}  Path to backup directory ('backup-path' setting, or default under user data directory if empty).
+///
+export function backup_dir(settings) {
+    const path = settings.get_string('backup-path');
+
+    return path || GLib.build_filenamev([GLib.get_user_data_dir(), 'sticky-notes-integration', 'backups']);
+}
+
+//------------------------------------------------------------------------------
+/// @brief Runs given *argv* as a subprocess, asynchronously.
+///
+/// @param      {Array}     argv        Command and arguments.
+/// @param      {Function}  callback    Called with true on success (exit status 0), false otherwise.
+///
+function spawn(argv, callback) {
+    try {
+        const proc = Gio.Subprocess.new(argv, Gio.SubprocessFlags.STDERR_PIPE);
+        proc.wait_check_async(null, (proc, res) => {
+            try {
+                callback(proc.wait_check_finish(res));
+            } catch (error) {
+                console.debug(`[${argv.join(' ')}] failed with error '${error.message}'`);
+                callback(false);
+            }
+        });
+    } catch (error) {
+        console.debug(`[${argv.join(' ')}] failed with error '${error.message}'`);
+        callback(false);
+    }
+}
+
+//------------------------------------------------------------------------------
+/// @brief Lists children of given *directory*, asynchronously.
+///
+/// @param      {Gio.File}  directory     Directory.
+/// @param      {String}    attributes    File attributes to query (cf. Gio.File.enumerate_children()).
+/// @param      {Function}  callback      Called with children, as *[Gio.File, Gio.FileInfo]* pairs, and error (null on success).
+///
+function enumerate(directory, attributes, callback) {
+    directory.enumerate_children_async(attributes, Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, GLib.PRIORITY_DEFAULT, null, (source, res) => {
+        let enumerator = null;
+        try {
+            enumerator = source.enumerate_children_finish(res);
+        } catch (error) {
+            callback([], error);
+            return;
+        }
+
+        const children = [];
+        const next = () => enumerator.next_files_async(32, GLib.PRIORITY_DEFAULT, null, (enumerator, res) => {
+            let infos = [];
+            try {
+                infos = enumerator.next_files_finish(res);
+            } catch (error) {
+                enumerator.close_async(GLib.PRIORITY_DEFAULT, null, null);
+                callback(children, error);
+                return;
+            }
+            if (infos.length) {
+                children.push(...infos.map((info) => [enumerator.get_child(info), info]));
+                next();
+                return;
+            }
+            enumerator.close_async(GLib.PRIORITY_DEFAULT, null, null);
+            callback(children, null);
+        });
+        next();
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Runs given asynchronous *task* on each of given *items* in turn, stopping at first failure.
+///
+/// @param      {Array}     items       Items.
+/// @param      {Function}  task        Called with an item and a completion callback, to be called with true on success, false otherwise.
+/// @param      {Function}  callback    Called with true if task succeeded for all items, false otherwise.
+///
+function each_async(items, task, callback) {
+    const next = (index) => {
+        if (index >= items.length) {
+            callback(true);
+            return;
+        }
+        task(items[index], (success) => success ? next(index + 1) : callback(false));
+    };
+    next(0);
+}
+
+//------------------------------------------------------------------------------
+/// @brief Lists backups in given *directory*, most recent first, asynchronously.
+///
+/// @param      {String}    directory   Backup directory.
+/// @param      {Function}  callback    Called with backups, as objects with 'path', 'name', 'time' (GLib.DateTime, local) and 'size' (bytes).
+///
+export function list_backups(directory, callback) {
+    enumerate(Gio.File.new_for_path(directory), 'standard::name,standard::size', (children) => {
+        const backups = [];  // none if directory does not exist yet
+
+        for (const [file, info] of children) {
+            const match = info.get_name().match(BACKUP_PATTERN);
+            if (!match) {
+                continue;
+            }
+            const [, year, month, day, hour, minute, second] = match.map(Number);
+            backups.push({
+                'path': file.get_path(),
+                'name': info.get_name(),
+                'time': GLib.DateTime.new_local(year, month, day, hour, minute, second),
+                'size': info.get_size(),
+            });
+        }
+
+        callback(backups.sort((a, b) => b['time'].compare(a['time'])));
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Creates a timestamped backup archive of note directory in given *directory*, asynchronously.
+///
+/// @param      {String}    directory         Backup directory (created if missing).
+/// @param      {Function}  [callback=null]   Called with archive path on success, null otherwise (partial archive being deleted).
+///
+export function create_backup(directory, callback = null) {
+    try {
+        GLib.mkdir_with_parents(directory, 0o700);
+    } catch (error) {
+        console.debug(`Unable to create '${directory}': ${error.message}`);
+    }
+
+    const name = BACKUP_PREFIX + GLib.DateTime.new_now_local().format('%Y%m%d-%H%M%S') + BACKUP_SUFFIX;
+    const path = GLib.build_filenamev([directory, name]);
+
+    spawn(['tar', '-czf', path, '-C', note_dir(), '.'], (success) => {
+        if (success) {
+            console.debug(`Backed up notes to '${path}'`);
+            callback?.(path);
+            return;
+        }
+
+        // partial archive would otherwise be listed as latest backup
+        console.debug('Unable to back up notes');
+        Gio.File.new_for_path(path).delete_async(GLib.PRIORITY_DEFAULT, null, (file, res) => {
+            try {
+                file.delete_finish(res);
+            } catch (error) {
+                if (!error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    console.debug(`Unable to delete '${path}': ${error.message}`);
+                }
+            }
+            callback?.(null);
+        });
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Deletes given *file*, recursively if a directory, asynchronously.
+///
+/// @param      {Gio.File}  file              File or directory to delete.
+/// @param      {Function}  [callback=null]   Called with true on success, false otherwise.
+///
+function delete_tree(file, callback = null) {
+    const remove = () => file.delete_async(GLib.PRIORITY_DEFAULT, null, (file, res) => {
+        try {
+            callback?.(file.delete_finish(res));
+        } catch (error) {
+            console.debug(`Unable to delete '${file.get_path()}': ${error.message}`);
+            callback?.(false);
+        }
+    });
+
+    enumerate(file, 'standard::name', (children, error) => {
+        if (error) {
+            remove();  // not a directory
+            return;
+        }
+        each_async(children, ([child], done) => delete_tree(child, done), remove);
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Lists note files (i.e. regular '*.json' files) in given *directory*, asynchronously.
+///
+/// @param      {Gio.File}  directory   Directory.
+/// @param      {Function}  callback    Called with note files (Gio.File), or null if *directory* could not be listed.
+///
+function list_note_files(directory, callback) {
+    enumerate(directory, 'standard::name,standard::type', (children, error) => {
+        if (error) {
+            console.debug(`Unable to list '${directory.get_path()}': ${error.message}`);
+            callback(null);
+            return;
+        }
+
+        callback(children.filter(([, info]) => info.get_file_type() === Gio.FileType.REGULAR && info.get_name().endsWith('.json'))
+            .map(([file]) => file));
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Moves given *file* to given *destination*, replacing it, asynchronously.
+///
+/// @param      {Gio.File}  file          File to move.
+/// @param      {Gio.File}  destination   Destination.
+/// @param      {Function}  callback      Called with true on success, false otherwise.
+///
+function move_file(file, destination, callback) {
+    file.move_async(destination, Gio.FileCopyFlags.OVERWRITE, GLib.PRIORITY_DEFAULT, null, null, (file, res) => {
+        try {
+            callback(file.move_finish(res));
+        } catch (error) {
+            console.debug(`Unable to move '${file.get_path()}': ${error.message}`);
+            callback(false);
+        }
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Deletes given *file*, asynchronously.
+///
+/// @param      {Gio.File}  file        File to delete.
+/// @param      {Function}  callback    Called with true on success, false otherwise.
+///
+function delete_file(file, callback) {
+    file.delete_async(GLib.PRIORITY_DEFAULT, null, (file, res) => {
+        try {
+            callback(file.delete_finish(res));
+        } catch (error) {
+            console.debug(`Unable to delete '${file.get_path()}': ${error.message}`);
+            callback(false);
+        }
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Restores notes from given backup *archive*, asynchronously.
+///
+/// @param      {String}    archive           Backup archive path.
+/// @param      {Function}  [callback=null]   Called with true on success, false otherwise.
+///
+/// @note  Archive is extracted to a temporary directory next to note directory first, existing note files are only replaced
+///        once extraction succeeded, hence a corrupt archive leaves notes untouched. Existing note files are then moved aside
+///        (rather than overwritten or deleted) until restored ones are in place, and moved back should that fail, hence notes
+///        are never left mixed. Sticky Notes should be closed beforehand, as it would otherwise overwrite restored notes.
+///
+export function restore_backup(archive, callback = null) {
+    const directory = Gio.File.new_for_path(note_dir());
+    let staging = null;
+    let previous = null;
+
+    try {
+        GLib.mkdir_with_parents(directory.get_path(), 0o700);
+        staging = Gio.File.new_for_path(GLib.mkdtemp(directory.get_path() + '.restore-XXXXXX'));
+        previous = Gio.File.new_for_path(GLib.mkdtemp(directory.get_path() + '.previous-XXXXXX'));
+    } catch (error) {
+        console.debug(`Unable to prepare restore of '${archive}': ${error.message}`);
+        if (staging) {
+            delete_tree(staging);
+        }
+        callback?.(false);
+        return;
+    }
+
+    const done = (success) => {
+        console.debug(success ? `Restored notes from '${archive}'` : `Unable to restore notes from '${archive}'`);
+        delete_tree(staging);
+        if (previous) {
+            delete_tree(previous);
+        }
+        callback?.(success);
+    };
+
+    // moves existing notes back, once restored ones are removed
+    const restored = [];
+    const rollback = () => {
+        each_async(restored, (file, next) => delete_file(file, () => next(true)), () => {
+            list_note_files(previous, (files) => {
+                each_async(files ?? [], (file, moved) => move_file(file, directory.get_child(file.get_basename()), moved), (success) => {
+                    if (!success || files === null) {
+                        console.debug(`Unable to move back notes from '${previous.get_path()}'`);
+                        previous = null;  // kept for manual recovery
+                    }
+                    done(false);
+                });
+            });
+        });
+    };
+
+    spawn(['tar', '-xzf', archive, '-C', staging.get_path()], (success) => {
+        if (!success) {
+            done(false);
+            return;
+        }
+
+        list_note_files(staging, (extracted) => {
+            if (!extracted?.length) {
+                console.debug(`No notes in '${archive}'`);
+                done(false);
+                return;
+            }
+
+            list_note_files(directory, (existing) => {
+                if (existing === null) {
+                    done(false);
+                    return;
+                }
+
+                each_async(existing, (file, moved) => move_file(file, previous.get_child(file.get_basename()), moved), (success) => {
+                    if (!success) {
+                        rollback();
+                        return;
+                    }
+
+                    each_async(extracted, (file, moved) => {
+                        const destination = directory.get_child(file.get_basename());
+                        move_file(file, destination, (success) => {
+                            if (success) {
+                                restored.push(destination);
+                            }
+                            moved(success);
+                        });
+                    }, (success) => success ? done(true) : rollback());
+                });
+            });
+        });
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Deletes old backups in given *directory*, keeping the latest backup of each of the last *daily* days
+///        and of each of the last *weekly* weeks, asynchronously.
+///
+/// @param      {String}    directory         Backup directory.
+/// @param      {Number}    daily             Number of daily backups to keep.
+/// @param      {Number}    weekly            Number of weekly backups to keep (in addition to daily backups).
+/// @param      {Function}  [callback=null]   Called with number of deleted backups.
+///
+export function rotate_backups(directory, daily, weekly, callback = null) {
+    list_backups(directory, (backups) => {
+        const keep = new Set();
+        const days = new Set();
+        const weeks = new Set();
+
+        // backups are sorted most recent first, hence first backup of each day/week is the latest one
+        for (const backup of backups) {
+            const day = backup['time'].format('%Y%m%d');
+            const week = backup['time'].format('%G%V');
+            if (!days.has(day) && days.size < daily) {
+                keep.add(backup['path']);
+            } else if (!days.has(day) && !weeks.has(week) && weeks.size < weekly) {
+                weeks.add(week);
+                keep.add(backup['path']);
+            }
+            days.add(day);
+        }
+        const stale = backups.filter((backup) => !keep.has(backup['path']));
+
+        let count = 0;
+        each_async(stale, (backup, done) => delete_file(Gio.File.new_for_path(backup['path']), (success) => {
+            count += Number(success);
+            done(true);  // keep rotating other backups
+        }), () => callback?.(count));
+    });
+}
@@ -1,35 +1,37 @@
-import { execute, first_available } from './utils.js';
+import { AppDetector } from './appDetector.js';
+import { translate_app_strings } from './utils.js';
 
 //------------------------------------------------------------------------------
-/// Gets Sticky Notes version.
+/// @brief Sticky Notes executable & version detection, shared by AppInfo consumers.
 ///
-/// @return     {string}  Version (as <major>.<minor>.<patch>).
+/// @note  Asynchronous and cached (cf. AppDetector); started by extension/preferences through watch(), not on import.
 ///
-function get_version() {
-    let cmd = first_available(['com.vixalien.sticky', 'com.vixalien.st', /* ... */]);
-    if (cmd) {
-        let ver = execute(cmd + ' -v').split('\n')[0]; // .slice(0, 6);
-        if (ver.length < 10 /* hard threshold */) {
-            return ver;
-        }
-    }
+export const AppDetection = new AppDetector(['com.vixalien.sticky', 'com.vixalien.st', /* ... */]);
 
-    return '';
-}
+//------------------------------------------------------------------------------
+/// @brief Titles of Sticky Notes main window (aka 'All Notes'), untranslated and in user language (cached, cf. AppInfo['main-titles']).
+///
+let main_titles = null;
 
 //------------------------------------------------------------------------------
 /// @brief General purpose application info.
 ///
+/// @note  'process' and 'version' are null/empty while Sticky Notes is still being detected (cf. AppDetection.detecting).
+///
 /// @todo  Rename to StickyNotesInfo.
 ///
 export const AppInfo = Object.freeze({
     'id'        : 'com.vixalien.sticky',
-    'process'   : first_available(['com.vixalien.sticky', 'com.vixalien.st', /* ... */]),
+    get 'process'() { return AppDetection.process; },
     'icon-name' : 'com.vixalien.sticky',
     'wm-class'  : 'com.vixalien.sticky',
-    // @todo implement asynchronously, may hang when initialization
-    //       alternatively, check if SHELL_DEBUG is defined and use a dummy
-    'version'   : get_version(),
+    // titles of the main window (aka 'All Notes'), which shares WM_CLASS with notes (cf. MultiWindowHandler.isMain()),
+    // translated through Sticky Notes' own gettext domain as it follows user language
+    get 'main-titles'() {
+        const titles = ['All Notes', 'Sticky Notes'];
+        return main_titles ??= Object.freeze([...new Set([...titles, ...translate_app_strings(this['id'], titles)])]);
+    },
+    get 'version'() { return AppDetection.version; },
     // @todo parse console message instead
     'note-path' : '.local/share/com.vixalien.sticky/notes',
 });
@@ -63,14 +65,86 @@ export const StickyNotesAction = Object.freeze({
     'Cycle'     : 4,
     'Hide All'  : 5,
     'New Note'  : 6,
-    // 'Spread':  7,    // @todo not yet implemented
+    'Spread'    : 7,
     'Stack'     : 8,
-    // 'All Notes': 9,  // @todo not yet implemented
+    'All Notes' : 9,
     'Launch'    : 10,
     'Quit'      : 11,
+    'Stack Here': 12,
+    'Cascade'   : 13,
+    'Grid'      : 14,
+    'Column'    : 15,
+    'New from Clipboard' : 16,
     // ...
 });
 
+//------------------------------------------------------------------------------
+/// @brief Note arrangement modes, used in preferences, panel indicator and arrangement implementations.
+///
+/// @note  'Stack' places notes on primary monitor, remaining modes on current monitor (i.e. under pointer).
+///
+export const Arrangement = Object.freeze({
+    'Stack'      : 0,
+    'Stack Here' : 1,
+    'Cascade'    : 2,
+    'Grid'       : 3,
+    'Column'     : 4,
+});
+
+//------------------------------------------------------------------------------
+/// @brief Settings key prefix of each arrangement mode's options, keyed by Arrangement (cf. 'arrange-<mode>-*' keys in schema).
+///
+/// @note  'Stack Here' shares options with 'Stack'; 'Stack' has no spacing (all notes share the origin).
+///
+export const ArrangementKeys = Object.freeze({
+    [Arrangement['Stack']]      : 'arrange-stack',
+    [Arrangement['Stack Here']] : 'arrange-stack',
+    [Arrangement['Cascade']]    : 'arrange-cascade',
+    [Arrangement['Grid']]       : 'arrange-grid',
+    [Arrangement['Column']]     : 'arrange-column',
+});
+
+//------------------------------------------------------------------------------
+/// @brief Note window layer enumerator, used in preferences, panel indicator and layer policy implementations.
+///
+export const WindowLayer = Object.freeze({
+    'Normal'        : 0,
+    'Always on Top' : 1,
+    'Desktop Level' : 2,
+});
+
+//------------------------------------------------------------------------------
+/// @brief Screen edge enumerator, used in preferences and column arrangement implementation.
+///
+export const ScreenEdge = Object.freeze({
+    'Left'  : 0,
+    'Right' : 1,
+});
+
+//------------------------------------------------------------------------------
+/// @brief Off-screen note rescue policy enumerator, used in preferences and note rescue implementation.
+///
+/// @note  Each policy pulls notes inside the work area of a target monitor: the one they are (mostly) on, the primary one, or the one
+///        they were last placed on (by the user), if still connected.
+///
+export const RescuePolicy = Object.freeze({
+    'Disabled'        : 0,
+    'Nearest Edge'    : 1,
+    'Primary Monitor' : 2,
+    'Last Monitor'    : 3,
+});
+
+//------------------------------------------------------------------------------
+/// @brief Reminder marker syntax enumerator, used in preferences and reminder implementations.
+///
+/// @note  Labels illustrate each syntax; dates (YYYY-MM-DD) may precede times, or be given on their own (cf. parse_reminders()).
+///
+export const ReminderSyntax = Object.freeze({
+    'Disabled' : 0,
+    '@ 15:00'  : 1,
+    '[15:00]'  : 2,
+});
+
 //------------------------------------------------------------------------------
 /// @brief Indicator trigger/event specifier (as settings in extension schema), used in preferences and panel indicator implementations.
 ///
@@ -81,3 +155,55 @@ export const TriggerKey = Object.freeze({
     'Scroll Up'           : 'scroll-up-action',
     'Scroll Down'         : 'scroll-down-action'
 });
+
+//------------------------------------------------------------------------------
+/// @brief Global keyboard shortcut specifier (as settings in extension schema) for each action, used in preferences and keybinding implementations.
+///
+/// @note  Keys match StickyNotesAction labels.
+///
+export const ShortcutKey = Object.freeze({
+    'Toggle'    : 'toggle-shortcut',
+    'Show All'  : 'show-all-shortcut',
+    'Show Last' : 'show-last-shortcut',
+    'Cycle'     : 'cycle-shortcut',
+    'Hide All'  : 'hide-all-shortcut',
+    'New Note'  : 'new-note-shortcut',
+    'Spread'    : 'spread-shortcut',
+    'Stack'     : 'stack-shortcut',
+    'Stack Here': 'stack-here-shortcut',
+    'Cascade'   : 'cascade-shortcut',
+    'Grid'      : 'grid-shortcut',
+    'Column'    : 'column-shortcut',
+    'All Notes' : 'all-notes-shortcut',
+    'Launch'    : 'launch-shortcut',
+    'Quit'      : 'quit-shortcut',
+    'New from Clipboard' : 'new-from-clipboard-shortcut',
+});
+
+//------------------------------------------------------------------------------
+/// @brief Note style/color enumerator, matching the 'style' field in Sticky Notes note files. Used by note store and indicator implementations.
+///
+export const NoteStyle = Object.freeze({
+    'Yellow'   : 0,
+    'Pink'     : 1,
+    'Green'    : 2,
+    'Purple'   : 3,
+    'Blue'     : 4,
+    'Gray'     : 5,
+    'Charcoal' : 6,
+});
+
+//------------------------------------------------------------------------------
+/// @brief Background colors associated with each note style (indexed by NoteStyle values).
+///
+/// @note  Approximates Sticky Notes palette, for display purposes only.
+///
+export const NoteStyleColor = Object.freeze([
+    '#fff29c',  // yellow
+    '#ffc9e6',  // pink
+    '#d1ffbd',  // green
+    '#e0ccff',  // purple
+    '#c4e4ff',  // blue
+    '#e1e1e1',  // gray
+    '#5c5c5c',  // charcoal
+]);
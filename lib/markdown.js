@@ -0,0 +1,107 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { NoteStyle } from './globals.js';
+
+//------------------------------------------------------------------------------
+/// @brief Gets Markdown export directory from extension settings.
+///
+/// @param      {Gio.Settings}  settings    Extension settings.
+///
+/// @return     {String}  Path to export directory ('markdown-path' setting, or 'Sticky Notes' under user documents if empty).
+///
+export function markdown_dir(settings) {
+    const path = settings.get_string('markdown-path');
+    const documents = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DOCUMENTS) ?? GLib.get_home_dir();
+
+    return path || GLib.build_filenamev([documents, 'Sticky Notes']);
+}
+
+//------------------------------------------------------------------------------
+/// @brief Formats a note timestamp as ISO 8601.
+///
+/// @param      {Number}  time    Milliseconds since epoch, or null.
+///
+/// @return     {String}  ISO 8601 string, or null if *time* is null.
+///
+function format_timestamp(time) {
+    return time === null ? null : new Date(time).toISOString();
+}
+
+//------------------------------------------------------------------------------
+/// @brief Converts given *note* to Markdown, with YAML front matter for note identifier, title, color and timestamps.
+///
+/// @param      {Object}  note    Note (cf. NoteStore).
+///
+/// @return     {String}  Markdown document.
+///
+/// @note  Strings are double-quoted as JSON, which is valid YAML.
+///
+export function note_to_markdown(note) {
+    const style = Object.keys(NoteStyle).find((name) => NoteStyle[name] === note['style']) ?? 'Yellow';
+    const front_matter = {
+        'uuid'     : note['uuid'],
+        'title'    : note['title'],
+        'style'    : style.toLowerCase(),
+        'color'    : note['color'],
+        'created'  : format_timestamp(note['created']),
+        'modified' : format_timestamp(note['modified']),
+    };
+
+    const lines = ['---'];
+    for (const [key, value] of Object.entries(front_matter)) {
+        if (value !== null && value !== undefined) {
+            lines.push(`${key}: ${JSON.stringify(value)}`);
+        }
+    }
+    lines.push('---', '', note['content'].trimEnd(), '');
+
+    return lines.join('\n');
+}
+
+//------------------------------------------------------------------------------
+/// @brief Gets a Markdown file name for given *note*, from its title.
+///
+/// @param      {Object}  note              Note (cf. NoteStore).
+/// @param      {Set}     [taken=new Set()] File names already in use, disambiguated by appending the note identifier.
+///
+/// @return     {String}  File name, with '.md' extension.
+///
+export function markdown_file_name(note, taken = new Set()) {
+    const base = (note['title'] || 'Untitled')
+        .replace(/[/\\:*?"<>|\x00-\x1f]/g, '-')
+        .replace(/^[.\s]+/, '')
+        .slice(0, 100)
+        .trim() || 'Untitled';
+
+    const name = base + '.md';
+    return taken.has(name) ? `${base} (${note['uuid'].slice(0, 8)}).md` : name;
+}
+
+//------------------------------------------------------------------------------
+/// @brief Writes given *note* as Markdown to *directory*, asynchronously.
+///
+/// @param      {Object}    note              Note (cf. NoteStore).
+/// @param      {String}    directory         Export directory (created if missing).
+/// @param      {String}    name              File name (cf. markdown_file_name()).
+/// @param      {Function}  [callback=null]   Called with true on success, false otherwise.
+///
+export function write_markdown(note, directory, name, callback = null) {
+    try {
+        GLib.mkdir_with_parents(directory, 0o755);
+    } catch (error) {
+        console.debug(`Unable to create '${directory}': ${error.message}`);
+    }
+
+    const file = Gio.File.new_for_path(GLib.build_filenamev([directory, name]));
+    const bytes = new GLib.Bytes(new TextEncoder().encode(note_to_markdown(note)));
+    file.replace_contents_bytes_async(bytes, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null, (file, res) => {
+        try {
+            file.replace_contents_finish(res);
+            callback?.(true);
+        } catch (error) {
+            console.debug(`Unable to write '${file.get_path()}': ${error.message}`);
+            callback?.(false);
+        }
+    });
+}
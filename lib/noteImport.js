@@ -0,0 +1,207 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { NoteStyle } from './globals.js';
+import { note_dir } from './backups.js';
+
+//------------------------------------------------------------------------------
+/// @brief File name patterns of importable files.
+///
+export const IMPORT_PATTERNS = Object.freeze(['*.txt', '*.md']);
+
+//------------------------------------------------------------------------------
+/// @brief Gets note content from the contents of a text file.
+///
+/// @param      {String}  text    File contents.
+///
+/// @return     {String}  Note content i.e. *text* without YAML front matter (e.g. from Markdown export, cf. note_to_markdown()).
+///
+function parse_text(text) {
+    const match = text.match(/^---\r?\n[\s\S]*?\r?\n---\r?\n/);
+
+    return (match ? text.slice(match[0].length) : text).replace(/\r\n/g, '\n').trim();
+}
+
+//------------------------------------------------------------------------------
+/// @brief Loads the most recently modified note file in note directory, asynchronously, as a template for new notes (cf. build_note()).
+///
+/// @param      {Function}  callback    Called with parsed note data, or null if there is no (readable) note file.
+///
+function load_template(callback) {
+    const directory = Gio.File.new_for_path(note_dir());
+    let latest = null;
+
+    directory.enumerate_children_async('standard::name,standard::type,time::modified', Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null, (source, res) => {
+        let enumerator = null;
+        try {
+            enumerator = source.enumerate_children_finish(res);
+        } catch (error) {
+            callback(null);  // no notes yet
+            return;
+        }
+
+        const next = () => enumerator.next_files_async(32, GLib.PRIORITY_DEFAULT, null, (enumerator, res) => {
+            let infos = [];
+            try {
+                infos = enumerator.next_files_finish(res);
+            } catch (error) {
+                console.debug(`Unable to list '${directory.get_path()}': ${error.message}`);
+            }
+            for (const info of infos) {
+                if (info.get_file_type() === Gio.FileType.REGULAR && info.get_name().endsWith('.json') &&
+                    (!latest || info.get_modification_date_time().compare(latest.get_modification_date_time()) > 0)) {
+                    latest = info;
+                }
+            }
+            if (infos.length) {
+                next();
+                return;
+            }
+            enumerator.close_async(GLib.PRIORITY_DEFAULT, null, null);
+
+            if (!latest) {
+                callback(null);
+                return;
+            }
+            directory.get_child(latest.get_name()).load_contents_async(null, (file, res) => {
+                try {
+                    const [, contents] = file.load_contents_finish(res);
+                    callback(JSON.parse(new TextDecoder().decode(contents)));
+                } catch (error) {
+                    console.debug(`Unable to read '${file.get_path()}': ${error.message}`);
+                    callback(null);
+                }
+            });
+        });
+        next();
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Builds a note in Sticky Notes' format (cf. parse_note()), following the format of given *template* note.
+///
+/// @param      {String}  content           Note content.
+/// @param      {Number}  style             Note style (cf. NoteStyle).
+/// @param      {Object}  [template=null]   Data of an existing note file (cf. load_template()).
+///
+/// @return     {Object}  Note data, to be serialized as JSON.
+///
+/// @note  Sticky Notes' file format is not documented, hence fields are written the way the app itself wrote *template*:
+///        style as index (cf. NoteStyle) or name, timestamps as milliseconds or ISO 8601 strings, and the template note size.
+///        Without template, style is written as index, timestamps as ISO 8601 strings (i.e. serialized Date objects),
+///        and size is left to the app defaults.
+///
+function build_note(content, style, template = null) {
+    const now = new Date();
+    const timestamp = (value) => (typeof value === 'number' ? now.getTime() : now.toISOString());
+    const name = Object.keys(NoteStyle).find((key) => NoteStyle[key] === style) ?? 'Yellow';
+
+    const note = {
+        'uuid'     : GLib.uuid_string_random(),
+        'content'  : content,
+        'style'    : typeof template?.['style'] === 'string' ? name.toLowerCase() : NoteStyle[name],
+        'created'  : timestamp(template?.['created']),
+        'modified' : timestamp(template?.['modified']),
+        'open'     : true,
+        'hidden'   : false,
+    };
+    if (template?.['width'] && template?.['height']) {
+        note['width'] = template['width'];
+        note['height'] = template['height'];
+    }
+
+    return note;
+}
+
+//------------------------------------------------------------------------------
+/// @brief Writes given *contents* as a note file, asynchronously.
+///
+/// @param      {String}    contents          Note file contents, in Sticky Notes' format (cf. build_note()).
+/// @param      {String}    path              Note file path (cf. note_dir()).
+/// @param      {Function}  [callback=null]   Called with true on success, false otherwise.
+///
+/// @note  Sticky Notes only reads notes on startup, hence should be restarted afterwards (cf. StickyNotesInterface._whileClosed()).
+///
+export function write_note_file(contents, path, callback = null) {
+    const directory = note_dir();
+    try {
+        GLib.mkdir_with_parents(directory, 0o700);
+    } catch (error) {
+        console.debug(`Unable to create '${directory}': ${error.message}`);
+    }
+
+    const file = Gio.File.new_for_path(path);
+    const bytes = new GLib.Bytes(new TextEncoder().encode(contents));
+    file.replace_contents_bytes_async(bytes, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null, (file, res) => {
+        try {
+            file.replace_contents_finish(res);
+            callback?.(true);
+        } catch (error) {
+            console.debug(`Unable to write '${file.get_path()}': ${error.message}`);
+            callback?.(false);
+        }
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Writes a new note with given *content* to note directory, asynchronously.
+///
+/// @param      {String}    content           Note content.
+/// @param      {Number}    style             Note style (cf. NoteStyle).
+/// @param      {Function}  [callback=null]   Called with true on success (false otherwise), and identifier of the new note.
+/// @param      {Object}    [template]        Data of an existing note file (cf. build_note()), loaded from note directory if omitted.
+///
+export function write_note(content, style, callback = null, template = undefined) {
+    if (template === undefined) {
+        load_template((template) => write_note(content, style, callback, template));
+        return;
+    }
+
+    const note = build_note(content, style, template);
+    write_note_file(JSON.stringify(note), GLib.build_filenamev([note_dir(), note['uuid'] + '.json']), (success) => {
+        callback?.(success, note['uuid']);
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Imports given text/Markdown files as notes, written to note directory.
+///
+/// @param      {Array}     paths             Paths of files to import.
+/// @param      {Number}    style             Note style of imported notes (cf. NoteStyle).
+/// @param      {Function}  [callback=null]   Called with number of imported notes once done.
+///
+/// @note  Sticky Notes only reads notes on startup, hence should be restarted afterwards (cf. StickyNotesInterface.importFiles()).
+///
+export function import_files(paths, style, callback = null) {
+    let pending = paths.length;
+    let imported = 0;
+    const done = (success) => {
+        imported += Number(success);
+        if (--pending === 0) {
+            console.debug(`Imported ${imported} of ${paths.length} files as notes`);
+            callback?.(imported);
+        }
+    };
+    if (!pending) {
+        callback?.(0);
+        return;
+    }
+
+    load_template((template) => {
+        for (const path of paths) {
+            Gio.File.new_for_path(path).load_contents_async(null, (source, res) => {
+                let content = null;
+                try {
+                    const [, contents] = source.load_contents_finish(res);
+                    content = parse_text(new TextDecoder().decode(contents));
+                } catch (error) {
+                    console.debug(`Unable to read '${source.get_path()}': ${error.message}`);
+                    done(false);
+                    return;
+                }
+
+                write_note(content, style, done, template);
+            });
+        }
+    });
+}
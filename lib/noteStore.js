@@ -0,0 +1,351 @@
+import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { AppInfo, NoteStyle, NoteStyleColor } from './globals.js';
+import { safe_disconnect } from './utils.js';
+
+//------------------------------------------------------------------------------
+/// @brief Parses a timestamp field from a note file.
+///
+/// @param      {String|Number}  value   Timestamp as ISO 8601 string or milliseconds since epoch.
+///
+/// @return     {Number}  Milliseconds since epoch, or null if *value* is missing/invalid.
+///
+function parse_timestamp(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const time = (typeof value === 'number') ? value : Date.parse(value);
+
+    return isNaN(time) ? null : time;
+}
+
+//------------------------------------------------------------------------------
+/// @brief Parses a note style, which may be serialized as index or (lowercase) name.
+///
+/// @param      {String|Number}  value   Serialized style.
+///
+/// @return     {Number}  Style index (cf. NoteStyle), defaults to 'Yellow'.
+///
+function parse_style(value) {
+    if (typeof value === 'number' && value >= 0 && value < NoteStyleColor.length) {
+        return value;
+    }
+    if (typeof value === 'string') {
+        for (const [name, index] of Object.entries(NoteStyle)) {
+            if (name.toLowerCase() === value.toLowerCase()) {
+                return index;
+            }
+        }
+    }
+
+    return NoteStyle['Yellow'];
+}
+
+//------------------------------------------------------------------------------
+/// @brief Builds a (read-only) note description from the contents of a note file.
+///
+/// @param      {Gio.File}  file      Note file.
+/// @param      {Object}    data      Parsed JSON contents of *file*.
+///
+/// @return     {Object}    Note, with 'uuid', 'path', 'title', 'content', 'style', 'color', 'created', 'modified', 'open', 'hidden', 'width' and 'height' fields.
+///
+function parse_note(file, data) {
+    const content = typeof data['content'] === 'string' ? data['content'] : '';
+    const first_line = content.split('\n').find((line) => line.trim().length) ?? '';
+    const style = parse_style(data['style']);
+
+    return Object.freeze({
+        'uuid'     : data['uuid'] ?? file.get_basename().replace(/\.json$/, ''),
+        'path'     : file.get_path(),
+        'title'    : (data['title'] || first_line).trim(),
+        'content'  : content,
+        'style'    : style,
+        'color'    : NoteStyleColor[style],
+        'created'  : parse_timestamp(data['created']),
+        'modified' : parse_timestamp(data['modified']),
+        'open'     : Boolean(data['open']),
+        'hidden'   : Boolean(data['hidden']),
+        'width'    : data['width'] ?? 0,
+        'height'   : data['height'] ?? 0,
+    });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Class that reads Sticky Notes' note files directly and keeps track of changes to them.
+///
+/// @note  Notes are parsed from the JSON files under *AppInfo['note-path']*, which is watched with a Gio.FileMonitor.
+///        Signals carry the note UUID only, notes themselves can be retrieved with get().
+///
+export const NoteStore = GObject.registerClass({
+    GTypeName: 'StickyNotesNoteStore',
+    Signals: {
+        'note-added':   { param_types: [ GObject.TYPE_STRING ] },
+        'note-changed': { param_types: [ GObject.TYPE_STRING ] },
+        'note-removed': { param_types: [ GObject.TYPE_STRING ] },
+        'changed':      { },
+    },
+}, class NoteStore extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {String}  [path=null]   Note directory. Defaults to *AppInfo['note-path']* (relative to user home).
+    ///
+    constructor(path = null) {
+        super();
+
+        this._directory = Gio.File.new_for_path(path ?? GLib.build_filenamev([GLib.get_home_dir(), AppInfo['note-path']]));
+        this._notes = new Map();     // uuid -> note
+        this._files = new Map();     // file path -> uuid
+        this._contents = new Map();  // uuid -> note file contents (as loaded)
+        this._monitor = null;
+        this._monitor_id = null;
+        this._cancellable = null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Note directory.
+    ///
+    /// @type       {Gio.File}
+    ///
+    get directory() {
+        return this._directory;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Number of notes in store.
+    ///
+    /// @type       {Number}
+    ///
+    get n_notes() {
+        return this._notes.size;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Gets a note by UUID.
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    /// @return     {Object}  Note (cf. parse_note()), or null if not found.
+    ///
+    get(uuid) {
+        return this._notes.get(uuid) ?? null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Gets the contents of a note file, as last loaded (i.e. including fields not parsed by the store, such as text formatting).
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    /// @return     {String}  Note file contents, or null if not found.
+    ///
+    contents(uuid) {
+        return this._contents.get(uuid) ?? null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Lists all notes, most recently modified first.
+    ///
+    /// @param      {Function}  [filter=null]  Optional predicate to filter notes.
+    ///
+    /// @return     {Array}     Notes.
+    ///
+    list(filter = null) {
+        const notes = [...this._notes.values()].filter((note) => !filter || filter(note));
+
+        return notes.sort((a, b) => (b['modified'] ?? 0) - (a['modified'] ?? 0));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Finds notes whose title matches given *title* (case insensitive).
+    ///
+    /// @param      {String}  title   Note title, or window title.
+    ///
+    /// @return     {Object}  First matching note, or null if not found.
+    ///
+    find(title) {
+        const needle = (title ?? '').trim().toLowerCase();
+        if (!needle) {
+            return null;
+        }
+
+        return this.list((note) => note['title'].toLowerCase() === needle)[0] ?? null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief (Re)loads all notes from note directory and starts watching it for changes.
+    ///
+    /// @return     {Boolean}  True if directory is being watched, False otherwise.
+    ///
+    watch() {
+        if (this._monitor) {
+            return true;
+        }
+
+        this._cancellable = new Gio.Cancellable();
+        this.load();
+
+        try {
+            this._monitor = this._directory.monitor_directory(Gio.FileMonitorFlags.WATCH_MOVES, this._cancellable);
+            this._monitor.set_rate_limit(500 /* ms */);
+            this._monitor_id = this._monitor.connect('changed', this._onDirectoryChanged.bind(this));
+        } catch (error) {
+            console.debug(this.constructor.name + `: unable to watch '${this._directory.get_path()}' (${error.message})`);
+            this._monitor = null;
+            return false;
+        }
+
+        console.debug(this.constructor.name + `: watching '${this._directory.get_path()}'`);
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops watching note directory and clears cached notes.
+    ///
+    unwatch() {
+        this._cancellable?.cancel();
+        this._cancellable = null;
+
+        safe_disconnect(this._monitor, this._monitor_id);
+        this._monitor?.cancel();
+        this._monitor = null;
+        this._monitor_id = null;
+
+        this._notes.clear();
+        this._files.clear();
+        this._contents.clear();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Loads all note files in note directory (asynchronously).
+    ///
+    /// @note  Notes no longer present in directory are removed from store.
+    ///
+    load() {
+        const cancellable = this._cancellable;
+        const present = new Set();
+
+        this._directory.enumerate_children_async('standard::name,standard::type', Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, cancellable, (source, res) => {
+            let enumerator = null;
+            try {
+                enumerator = source.enumerate_children_finish(res);
+            } catch (error) {
+                if (!error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    console.debug(this.constructor.name + `: unable to list '${this._directory.get_path()}' (${error.message})`);
+                }
+                return;
+            }
+
+            const next = () => enumerator.next_files_async(32, GLib.PRIORITY_DEFAULT, cancellable, (enumerator, res) => {
+                let infos = [];
+                try {
+                    infos = enumerator.next_files_finish(res);
+                } catch (error) {
+                    enumerator.close_async(GLib.PRIORITY_DEFAULT, null, null);
+                    if (!error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                        console.debug(this.constructor.name + `: unable to list '${this._directory.get_path()}' (${error.message})`);
+                    }
+                    return;  // notes are not removed from a partial listing
+                }
+                if (infos.length) {
+                    for (const info of infos) {
+                        if (info.get_file_type() !== Gio.FileType.REGULAR || !info.get_name().endsWith('.json')) {
+                            continue;
+                        }
+                        const file = enumerator.get_child(info);
+                        present.add(file.get_path());
+                        this._loadNote(file);
+                    }
+                    next();
+                    return;
+                }
+                enumerator.close_async(GLib.PRIORITY_DEFAULT, null, null);
+
+                for (const path of [...this._files.keys()]) {
+                    if (!present.has(path)) {
+                        this._removeNote(Gio.File.new_for_path(path));
+                    }
+                }
+            });
+            next();
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Reads and parses given note *file*, adding/updating store entry and emitting signals accordingly.
+    ///
+    /// @param      {Gio.File}  file    Note file.
+    ///
+    _loadNote(file) {
+        file.load_contents_async(this._cancellable, (source, res) => {
+            let note = null;
+            let text = null;
+            try {
+                const [, contents] = source.load_contents_finish(res);
+                text = new TextDecoder().decode(contents);
+                note = parse_note(source, JSON.parse(text));
+            } catch (error) {
+                if (!error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    console.debug(this.constructor.name + `: unable to parse '${source.get_path()}' (${error.message})`);
+                }
+                return;
+            }
+
+            const existing = this._notes.has(note['uuid']);
+            this._notes.set(note['uuid'], note);
+            this._files.set(note['path'], note['uuid']);
+            this._contents.set(note['uuid'], text);
+
+            this.emit(existing ? 'note-changed' : 'note-added', note['uuid']);
+            this.emit('changed');
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Removes note associated with given *file* from store, emitting signals accordingly.
+    ///
+    /// @param      {Gio.File}  file    (Deleted) note file.
+    ///
+    _removeNote(file) {
+        const uuid = this._files.get(file.get_path());
+        if (!uuid) {
+            return;
+        }
+
+        this._files.delete(file.get_path());
+        this._notes.delete(uuid);
+        this._contents.delete(uuid);
+
+        this.emit('note-removed', uuid);
+        this.emit('changed');
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Callback for file monitor 'changed' signal.
+    ///
+    /// @see   https://docs.gtk.org/gio/signal.FileMonitor.changed.html
+    ///
+    _onDirectoryChanged(_, file, other_file, event_type) {
+        const is_note = (f) => f?.get_basename().endsWith('.json');
+
+        switch (event_type) {
+            case Gio.FileMonitorEvent.CHANGES_DONE_HINT:
+            case Gio.FileMonitorEvent.MOVED_IN:
+                if (is_note(file)) {
+                    this._loadNote(file);
+                }
+                break;
+            case Gio.FileMonitorEvent.DELETED:
+            case Gio.FileMonitorEvent.MOVED_OUT:
+                this._removeNote(file);
+                break;
+            case Gio.FileMonitorEvent.RENAMED:
+                this._removeNote(file);
+                if (is_note(other_file)) {
+                    this._loadNote(other_file);
+                }
+                break;
+        }
+    }
+});
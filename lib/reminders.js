@@ -0,0 +1,77 @@
+import { ReminderSyntax } from './globals.js';
+
+//------------------------------------------------------------------------------
+/// @brief Reminder marker patterns, by syntax (cf. ReminderSyntax); capture an optional date (YYYY-MM-DD) and an optional time (HH:MM).
+///
+const PATTERNS = Object.freeze({
+    [ReminderSyntax['@ 15:00']] : /@ ?(\d{4}-\d{2}-\d{2})?(?:[ T]?(\d{1,2}:\d{2})(?!\d))?/g,
+    [ReminderSyntax['[15:00]']] : /\[ ?(\d{4}-\d{2}-\d{2})? ?(\d{1,2}:\d{2})? ?\]/g,
+});
+
+//------------------------------------------------------------------------------
+/// @brief Hour of day of reminders given as date only.
+///
+const DEFAULT_HOUR = 9;
+
+//------------------------------------------------------------------------------
+/// @brief Resolves a reminder marker to a point in time.
+///
+/// @param      {String}  date        Date (YYYY-MM-DD), or undefined.
+/// @param      {String}  time        Time (HH:MM), or undefined.
+/// @param      {Number}  reference   Reference time (ms since epoch) for markers without date (ignored otherwise).
+///
+/// @return     {Number}  Milliseconds since epoch, or null if marker is invalid.
+///
+function resolve(date, time, reference) {
+    const [hours, minutes] = time ? time.split(':').map(Number) : [DEFAULT_HOUR, 0];
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+
+    if (date) {
+        const [year, month, day] = date.split('-').map(Number);
+        const resolved = new Date(year, month - 1, day, hours, minutes);
+        return resolved.getMonth() === month - 1 && resolved.getDate() === day ? resolved.getTime() : null;  // e.g. 2024-02-31, 2024-13-01
+    }
+
+    // first occurrence of time after reference (i.e. after marker was first seen)
+    const resolved = new Date(reference);
+    resolved.setHours(hours, minutes, 0, 0);
+    if (resolved.getTime() <= reference) {
+        resolved.setDate(resolved.getDate() + 1);
+    }
+    return resolved.getTime();
+}
+
+//------------------------------------------------------------------------------
+/// @brief Scans note *content* for reminder markers e.g. 'call vendor @ 15:00' or 'renew passport @ 2025-03-01'.
+///
+/// @param      {String}  content     Note content.
+/// @param      {Number}  syntax      Marker syntax (cf. ReminderSyntax).
+/// @param      {Function}  reference   Gets reference time (ms since epoch) of markers without date, from their time (HH:MM) and text.
+///
+/// @return     {Array}   Reminders, as objects with 'time' (ms since epoch) and 'text' (marked line, without marker).
+///
+export function parse_reminders(content, syntax, reference) {
+    const pattern = PATTERNS[syntax];
+    if (!pattern) {
+        return [];
+    }
+
+    const reminders = [];
+    for (const line of content.split('\n')) {
+        for (const match of line.matchAll(pattern)) {
+            const [marker, date, time] = match;
+            if (!date && !time) {
+                continue;
+            }
+            const text = line.replace(marker, ' ').replace(/\s+/g, ' ').trim();
+            const resolved = resolve(date, time, date ? null : reference(time, text));
+            if (resolved !== null) {
+                reminders.push({ 'time': resolved, 'text': text });
+            }
+        }
+    }
+
+    return reminders;
+}
@@ -1,6 +1,7 @@
 import Adw from 'gi://Adw';
 import Gtk from 'gi://Gtk';
 import Gio from 'gi://Gio';
+import Gdk from 'gi://Gdk';
 
 //------------------------------------------------------------------------------
 /// @brief Creates a selection box.
@@ -238,10 +239,127 @@ export function addRow(group, title, subtitle, content = [ ]) {
 /// @param      {Adw.PreferencesPage}  page     Page to add error to.
 /// @param      {String}               message  Error message.
 ///
+/// @return     {Adw.PreferencesGroup}  Group holding error box (e.g. to remove it from page).
+///
 export function addErrorBox(page, message = '') {
     const group = new Adw.PreferencesGroup();
     group.add(createImageBox('dialog-error-symbolic', 'Error', message));
     group.set_sensitive(true);
     page.add(group);
+
+    return group;
+}
+
+//------------------------------------------------------------------------------
+/// @brief Opens a modal dialog that captures a key combination.
+///
+/// @param      {Gtk.Window}  parent    Parent window.
+/// @param      {String}      title     Dialog title (e.g. name of the shortcut).
+/// @param      {Function}    callback  Called with captured accelerator string, or null if shortcut should be disabled.
+///
+/// @note  Escape cancels capture, Backspace disables shortcut.
+///
+export function captureShortcut(parent, title, callback) {
+    const dialog = new Adw.Window({
+        modal: true,
+        transient_for: parent,
+        default_width: 400,
+        title: title,
+    });
+    dialog.set_content(new Adw.StatusPage({
+        title: title,
+        description: 'Press a key combination, Escape to cancel or Backspace to disable',
+        icon_name: 'preferences-desktop-keyboard-shortcuts-symbolic',
+    }));
+
+    const controller = new Gtk.EventControllerKey();
+    controller.connect('key-pressed', (_, keyval, keycode, state) => {
+        const mask = state & Gtk.accelerator_get_default_mod_mask();
+        if (!mask && keyval === Gdk.KEY_Escape) {
+            dialog.close();
+            return Gdk.EVENT_STOP;
+        }
+        if (!mask && keyval === Gdk.KEY_BackSpace) {
+            callback(null);
+            dialog.close();
+            return Gdk.EVENT_STOP;
+        }
+        if (!Gtk.accelerator_valid(keyval, mask)) {
+            return Gdk.EVENT_STOP;
+        }
+        callback(Gtk.accelerator_name_with_keycode(null, keyval, keycode, mask));
+        dialog.close();
+        return Gdk.EVENT_STOP;
+    });
+    dialog.add_controller(controller);
+    dialog.present();
+}
+
+//------------------------------------------------------------------------------
+/// @brief Adds a conventional settings row for keyboard shortcuts, showing current shortcut and capturing a new one on activation.
+///
+/// @param      {Adw.PreferencesGroup} group       Settings group to add row to.
+/// @param      {String}               title       Title/name of the setting.
+/// @param      {String}               subtitle    Subtitle/description of the setting.
+/// @param      {Gio.Settings}         settings    Extension settings.
+/// @param      {String}               setting_id  Name of the setting (as defined in schema file, with type 'as').
+///
+/// @return     {Adw.ActionRow}        New settings row.
+///
+export function addShortcutRow(group, title, subtitle, settings, setting_id) {
+    const row = new Adw.ActionRow({
+        title: title,
+        subtitle: subtitle,
+        activatable: true,
+    });
+    const shortcut_label = new Gtk.ShortcutLabel({
+        accelerator: settings.get_strv(setting_id)[0] ?? '',
+        disabled_text: 'Disabled',
+        valign: Gtk.Align.CENTER,
+    });
+    row.add_suffix(shortcut_label);
+
+    settings.connect('changed::' + setting_id, () => {
+        shortcut_label.set_accelerator(settings.get_strv(setting_id)[0] ?? '');
+    });
+    row.connect('activated', () => {
+        captureShortcut(row.get_root(), title, (accelerator) => {
+            settings.set_strv(setting_id, accelerator ? [accelerator] : []);
+        });
+    });
+    group.add(row);
+
+    return row;
 }
 
+//------------------------------------------------------------------------------
+/// @brief Adds a conventional settings row for a directory, showing current path and opening a folder chooser on click.
+///
+/// @param      {Adw.PreferencesGroup} group       Settings group to add row to.
+/// @param      {String}               title       Title/name of the setting.
+/// @param      {Gio.Settings}         settings    Extension settings.
+/// @param      {String}               setting_id  Name of the setting (as defined in schema file, with type 's').
+/// @param      {Function}             resolve     Called with *settings* to get effective path (e.g. a default when setting is empty).
+///
+/// @return     {Adw.ActionRow}        New settings row.
+///
+export function addFolderRow(group, title, settings, setting_id, resolve) {
+    const button = new Gtk.Button({ icon_name: 'folder-open-symbolic', valign: Gtk.Align.CENTER, tooltip_text: 'Choose Folder' });
+    const row = addRow(group, title, resolve(settings), [ button ]);
+
+    button.connect('clicked', () => {
+        const dialog = new Gtk.FileDialog({ title: title, initial_folder: Gio.File.new_for_path(resolve(settings)) });
+        dialog.select_folder(row.get_root(), null, (dialog, res) => {
+            try {
+                settings.set_string(setting_id, dialog.select_folder_finish(res).get_path());
+            } catch (error) {
+                // dismissed
+            }
+        });
+    });
+    settings.connect('changed::' + setting_id, () => {
+        row.set_subtitle(resolve(settings));
+    });
+
+    return row;
+}
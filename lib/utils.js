@@ -53,12 +53,12 @@ export function connect_until(...args) {
 //------------------------------------------------------------------------------
 /// @brief Simple wrapper around 'disconnect' calls that checks and nullifies handler id.
 ///
-/// @param      {Number}      handler_id  The handler identifier.
 /// @param      {GObject}     instance    GObject or derived instance to disconnect from.
+/// @param      {Number}      handler_id  The handler identifier.
 ///
 /// @return     {Boolean}     True on sucessful disconnect, false otherwise.
 ///
-export function safe_disconnect(handler_id, instance) {
+export function safe_disconnect(instance, handler_id) {
     if (handler_id) {
         try {
             instance.disconnect(handler_id);
@@ -134,6 +134,223 @@ export function execute(command) {
     }
 }
 
+//------------------------------------------------------------------------------
+/// @brief Gets the D-Bus object path of a GApplication from its application id.
+///
+/// @param      {String}  app_id  Application id e.g. 'com.vixalien.sticky'.
+///
+/// @return     {String}  Object path e.g. '/com/vixalien/sticky'.
+///
+export function app_object_path(app_id) {
+    return '/' + app_id.replace(/\./g, '/').replace(/-/g, '_');
+}
+
+//------------------------------------------------------------------------------
+/// @brief Lists actions exported by a (running) GApplication over the session bus, asynchronously.
+///
+/// @param      {String}    app_id    Application id (also its well-known bus name).
+/// @param      {Function}  callback  Called with an array of action names, or null on error (e.g. app not running).
+///
+/// @see   https://wiki.gnome.org/Projects/GLib/GApplication/DBusAPI#org.gtk.Actions
+///
+export function list_app_actions(app_id, callback) {
+    Gio.DBus.session.call(app_id, app_object_path(app_id), 'org.gtk.Actions', 'List',
+        null, new GLib.VariantType('(as)'), Gio.DBusCallFlags.NO_AUTO_START, -1, null, (connection, res) => {
+            try {
+                const [actions] = connection.call_finish(res).deepUnpack();
+                callback(actions);
+            } catch (error) {
+                console.debug(`[${app_id}] unable to list actions: ${error.message}`);
+                callback(null);
+            }
+        });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Activates an action exported by a (running) GApplication over the session bus, asynchronously.
+///
+/// @param      {String}       app_id              Application id (also its well-known bus name).
+/// @param      {String}       action              Action name (without 'app.' prefix).
+/// @param      {GLib.Variant} [parameter=null]    Action parameter (optional).
+/// @param      {Function}     [callback=null]     Called with true on success, false otherwise.
+///
+export function activate_app_action(app_id, action, parameter = null, callback = null) {
+    const args = new GLib.Variant('(sava{sv})', [action, parameter ? [parameter] : [], {}]);
+
+    Gio.DBus.session.call(app_id, app_object_path(app_id), 'org.gtk.Actions', 'Activate',
+        args, null, Gio.DBusCallFlags.NO_AUTO_START, -1, null, (connection, res) => {
+            try {
+                connection.call_finish(res);
+                console.debug(`[${app_id}] activated '${action}'`);
+                callback?.(true);
+            } catch (error) {
+                console.debug(`[${app_id}] unable to activate '${action}': ${error.message}`);
+                callback?.(false);
+            }
+        });
+}
+
+//------------------------------------------------------------------------------
+/// @brief Lists entry names of given *directory*.
+///
+/// @param      {String}  directory   Directory path.
+///
+/// @return     {Array}   Entry names (empty if *directory* does not exist).
+///
+function list_dir(directory) {
+    const names = [];
+    try {
+        const dir = GLib.Dir.open(directory, 0);
+        let name = null;
+        while ((name = dir.read_name())) {
+            names.push(name);
+        }
+        dir.close();
+    } catch (error) {
+        // missing directory
+    }
+
+    return names;
+}
+
+//------------------------------------------------------------------------------
+/// @brief Gets the locale directories an application may install its translations to, for the user languages.
+///
+/// @param      {String}  app_id  Application id e.g. 'com.vixalien.sticky'.
+///
+/// @return     {Array}   Locale directories, as *[directory, language]* pairs, where *directory* may hold '<language>/LC_MESSAGES/*.mo'.
+///
+/// @note  Native installs use system locale directories, whereas Flatpak installs ship translations as a '<app_id>.Locale' extension,
+///        holding a 'files/<language>/share' locale directory per (short) language code.
+///
+function app_locale_dirs(app_id) {
+    const languages = GLib.get_language_names().filter((language) => language !== 'C' && !language.includes('.'));
+    const dirs = [];
+
+    for (const language of languages) {
+        dirs.push(['/usr/local/share/locale', language], ['/usr/share/locale', language]);
+    }
+    for (const installation of [GLib.build_filenamev([GLib.get_user_data_dir(), 'flatpak']), '/var/lib/flatpak']) {
+        const extension = GLib.build_filenamev([installation, 'runtime', app_id + '.Locale']);
+        for (const arch of list_dir(extension)) {
+            for (const branch of list_dir(GLib.build_filenamev([extension, arch]))) {
+                for (const language of languages) {
+                    const code = language.split(/[_@]/)[0];
+                    dirs.push([GLib.build_filenamev([extension, arch, branch, 'active', 'files', code, 'share']), language]);
+                }
+            }
+        }
+    }
+
+    return dirs;
+}
+
+//------------------------------------------------------------------------------
+/// @brief Reads translations of given *msgids* from a gettext message catalog (.mo file).
+///
+/// @param      {String}  path    Message catalog path.
+/// @param      {Array}   msgids  Untranslated (English) strings.
+///
+/// @return     {Map}     Translations, by msgid (msgids without translation are left out).
+///
+/// @see   https://www.gnu.org/software/gettext/manual/html_node/MO-Files.html
+///
+function read_mo_catalog(path, msgids) {
+    const translations = new Map();
+    const [, contents] = GLib.file_get_contents(path);
+    const data = new DataView(contents.buffer, contents.byteOffset, contents.byteLength);
+
+    // catalog byte order is given by magic number
+    const little_endian = data.getUint32(0, true) === 0x950412de;
+    if (!little_endian && data.getUint32(0, false) !== 0x950412de) {
+        throw new Error('invalid message catalog');
+    }
+    const uint32 = (offset) => data.getUint32(offset, little_endian);
+    const string = (table, index) => {
+        const entry = uint32(table) + 8 * index;  // (length, offset) pairs
+        return new TextDecoder().decode(contents.subarray(uint32(entry + 4), uint32(entry + 4) + uint32(entry)));
+    };
+
+    const wanted = new Set(msgids);
+    for (let i = 0, n = uint32(8); i < n && translations.size < wanted.size; i++) {
+        const msgid = string(12, i);
+        if (wanted.has(msgid)) {
+            translations.set(msgid, string(16, i).split('\0')[0]);  // first form of plural translations
+        }
+    }
+
+    return translations;
+}
+
+//------------------------------------------------------------------------------
+/// @brief Translates given *msgids* with an application's own translations (i.e. its gettext message catalog), in user language.
+///
+/// @param      {String}  app_id  Application id, also used as gettext domain e.g. 'com.vixalien.sticky'.
+/// @param      {Array}   msgids  Untranslated (English) strings.
+///
+/// @return     {Array}   Translated strings, in *msgids* order (untranslated strings are returned as is).
+///
+/// @note  Message catalog is read directly, rather than binding the application's gettext domain, which would affect the whole
+///        (shell) process. Synchronous (a few file tests and a small file read), hence callers should cache results.
+///
+export function translate_app_strings(app_id, msgids) {
+    const catalog = app_locale_dirs(app_id).map(([dir, language]) => GLib.build_filenamev([dir, language, 'LC_MESSAGES', app_id + '.mo']))
+        .find((path) => GLib.file_test(path, GLib.FileTest.EXISTS));
+    if (!catalog) {
+        return [...msgids];
+    }
+
+    try {
+        const translations = read_mo_catalog(catalog, msgids);
+        return msgids.map((msgid) => translations.get(msgid) || msgid);
+    } catch (error) {
+        console.debug(`Unable to read '${catalog}': ${error.message}`);
+        return [...msgids];
+    }
+}
+
+//------------------------------------------------------------------------------
+/// @brief Asks user to choose one or more files through the desktop portal file chooser, asynchronously.
+///
+/// @param      {String}    title     Dialog title.
+/// @param      {Array}     patterns  Glob patterns of files to show (e.g. '*.txt').
+/// @param      {Function}  callback  Called with an array of chosen file paths (empty if dialog was dismissed or failed).
+///
+/// @note  Gtk dialogs are not available within the shell process, hence the portal (which also works from sandboxed apps).
+///        Response handler is subscribed before the request is made, using a known request handle (cf. 'handle_token').
+///
+/// @see   https://flatpak.github.io/xdg-desktop-portal/docs/doc-org.freedesktop.portal.FileChooser.html
+///
+export function choose_files(title, patterns, callback) {
+    const token = 'sticky_notes_' + GLib.random_int();
+    const sender = Gio.DBus.session.get_unique_name().slice(1).replace(/\./g, '_');
+    const handle = `/org/freedesktop/portal/desktop/request/${sender}/${token}`;
+
+    const response_id = Gio.DBus.session.signal_subscribe('org.freedesktop.portal.Desktop', 'org.freedesktop.portal.Request', 'Response',
+        handle, null, Gio.DBusSignalFlags.NONE, (connection, sender, path, iface, signal, parameters) => {
+            connection.signal_unsubscribe(response_id);
+            const [response, results] = parameters.recursiveUnpack();
+            const uris = response === 0 ? (results['uris'] ?? []) : [];
+            callback(uris.map((uri) => Gio.File.new_for_uri(uri).get_path()).filter(Boolean));
+        });
+
+    const options = {
+        'handle_token': new GLib.Variant('s', token),
+        'multiple': new GLib.Variant('b', true),
+        'filters': new GLib.Variant('a(sa(us))', [[title, patterns.map((pattern) => [0, pattern])]]),
+    };
+    Gio.DBus.session.call('org.freedesktop.portal.Desktop', '/org/freedesktop/portal/desktop', 'org.freedesktop.portal.FileChooser', 'OpenFile',
+        new GLib.Variant('(ssa{sv})', ['', title, options]), null, Gio.DBusCallFlags.NONE, -1, null, (connection, res) => {
+            try {
+                connection.call_finish(res);
+            } catch (error) {
+                console.debug(`Unable to open file chooser: ${error.message}`);
+                connection.signal_unsubscribe(response_id);
+                callback([]);
+            }
+        });
+}
+
 //--------------------------------------------------------------------------
 /// @brief Determines if given *name* command is available
 ///
@@ -7,8 +7,31 @@ import * as Config from 'resource:///org/gnome/Shell/Extensions/js/misc/config.j
 import { ExtensionPreferences, gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
 import * as UI from './lib/ui.js';
-import { is_available, get_autostart, set_autostart, execute } from './lib/utils.js';
-import { AppInfo, Visibility, PanelPosition, StickyNotesAction } from './lib/globals.js';
+import { get_autostart, set_autostart, execute } from './lib/utils.js';
+import { AppInfo, AppDetection, Visibility, PanelPosition, StickyNotesAction, ShortcutKey, Arrangement, ArrangementKeys, ScreenEdge, WindowLayer, NoteStyle, ReminderSyntax, RescuePolicy } from './lib/globals.js';
+import { backup_dir, list_backups, create_backup, rotate_backups } from './lib/backups.js';
+import { markdown_dir } from './lib/markdown.js';
+import { IMPORT_PATTERNS, import_files } from './lib/noteImport.js';
+
+//------------------------------------------------------------------------------
+/// @brief Calls given *method* on extension D-Bus interface (cf. shell/dbusService.js), asynchronously.
+///
+/// @param      {String}        method      Method name.
+/// @param      {GLib.Variant}  parameters  Method parameters (as tuple), or null.
+/// @param      {Function}      callback    Called with unpacked return values, or null if call failed (e.g. extension not enabled).
+///
+function callExtension(method, parameters, callback) {
+    const name = 'org.gnome.Shell.Extensions.StickyNotesIntegration';
+    Gio.DBus.session.call(name, '/org/gnome/Shell/Extensions/StickyNotesIntegration', name, method, parameters,
+        null, Gio.DBusCallFlags.NO_AUTO_START, -1, null, (connection, res) => {
+            try {
+                callback(connection.call_finish(res).deepUnpack());
+            } catch (error) {
+                console.debug(`${method} failed with error '${error.message}'`);
+                callback(null);
+            }
+        });
+}
 
 //------------------------------------------------------------------------------
 /// @brief Fill preferences page with general/behavior settings
@@ -22,6 +45,15 @@ function fillGeneralPage(page, settings)  {
 
     UI.addToggleRow(behavior_group, 'Launch on Startup', 'Start Sticky Notes when user logs in', settings, 'auto-start');
     UI.addToggleRow(behavior_group, 'Keep Alive', 'Have Sticky Notes running at all times', settings, 'keep-alive');
+    UI.addSelectionRow(behavior_group, 'Note Layer', 'Keep notes above or below other windows (unless overridden per note)', settings, 'note-layer',
+        UI.selectFrom(WindowLayer));
+    UI.addToggleRow(behavior_group, 'Notes on All Workspaces', 'Show notes on every workspace (unless overridden per note)', settings, 'note-all-workspaces');
+    UI.addToggleRow(behavior_group, 'Workspace Notes', 'Show, hide and toggle only notes on the active workspace', settings, 'workspace-aware-notes');
+    UI.addRow(behavior_group, 'Recently Closed', 'Days to keep closed and deleted notes, to reopen them from the indicator',
+        [ UI.createSpinButton(settings, 'trash-retention', 1, 365, 0, 1, 'Retention (days)') ]);
+    UI.addToggleRow(behavior_group, 'Restore Layouts', 'Move notes back when a monitor configuration comes back', settings, 'restore-monitor-layouts');
+    UI.addSelectionRow(behavior_group, 'Rescue Off-Screen Notes', 'Pull notes left outside the screen or under panels back inside', settings, 'rescue-policy',
+        UI.selectFrom(RescuePolicy));
     UI.addSelectionRow(behavior_group, 'Override Background Menu', 'Add \'New Note\' to Gnome\'s background menu', settings, 'override-background-menu',
         UI.selectFrom(Visibility));
 
@@ -33,9 +65,127 @@ function fillGeneralPage(page, settings)  {
         settings.set_boolean('auto-start', get_autostart(AppInfo['id']));
     });
 
+    // 'General > Arrangement'
+    const arrangement_group = new Adw.PreferencesGroup({ title: _('Arrangement'), description: _('Stack, cascade, grid and column layouts') });
+
+    // origin and spacing per arrangement mode, showing only those of the mode selected in 'Options For'
+    // @note 'Stack Here' shares options with 'Stack' (cf. ArrangementKeys)
+    const arrangement_modes = Object.entries(Arrangement).filter(([name]) => name !== 'Stack Here');
+    const mode_selection = new Gtk.ComboBoxText({ valign: Gtk.Align.CENTER, tooltip_text: _('Arrangement mode') });
+    for (const [name, mode] of arrangement_modes) {
+        mode_selection.append(mode.toString(), _(name));
+    }
+    UI.addRow(arrangement_group, 'Options For', 'Arrangement mode to configure origin and spacing of', [ mode_selection ]);
+
+    const spacing_subtitles = {
+        [Arrangement['Cascade']] : 'Offset between cascaded notes',
+        [Arrangement['Grid']]    : 'Space between notes in grid',
+        [Arrangement['Column']]  : 'Space between notes in column, and between columns',
+    };
+    const mode_rows = arrangement_modes.map(([, mode]) => {
+        const keys = ArrangementKeys[mode];
+        const rows = [ UI.addRow(arrangement_group, 'Origin', 'Offset from work area corner (horizontal, vertical)',
+            [ UI.createSpinButton(settings, `${keys}-origin-x`, 0, 2000, 0, 10, 'Horizontal offset (px)'),
+              UI.createSpinButton(settings, `${keys}-origin-y`, 0, 2000, 0, 10, 'Vertical offset (px)') ]) ];
+        if (mode in spacing_subtitles) {
+            rows.push(UI.addRow(arrangement_group, 'Spacing', spacing_subtitles[mode],
+                [ UI.createSpinButton(settings, `${keys}-spacing`, 0, 200, 0, 5, 'Spacing (px)') ]));
+        }
+        if (mode === Arrangement['Column']) {
+            rows.push(UI.addSelectionRow(arrangement_group, 'Column Edge', 'Screen edge to place note column along', settings, 'arrange-column-edge',
+                UI.selectFrom(ScreenEdge)));
+        }
+        return [mode, rows];
+    });
+
+    mode_selection.connect('changed', () => {
+        const selected = parseInt(mode_selection.get_active_id());
+        for (const [mode, rows] of mode_rows) {
+            rows.forEach((row) => row.set_visible(mode === selected));
+        }
+    });
+    mode_selection.set_active_id(Arrangement['Stack'].toString());
+
+    UI.addToggleRow(arrangement_group, 'Normalize Size', 'Resize notes to a common size when arranging', settings, 'arrange-normalize-size');
+    const note_size_row = UI.addRow(arrangement_group, 'Note Size', 'Width and height of normalized notes',
+        [ UI.createSpinButton(settings, 'arrange-note-width', 100, 2000, 0, 10, 'Width (px)'),
+          UI.createSpinButton(settings, 'arrange-note-height', 100, 2000, 0, 10, 'Height (px)') ]);
+
+    // disable note size when not normalizing
+    note_size_row.set_sensitive(settings.get_boolean('arrange-normalize-size'));
+    settings.connect('changed::arrange-normalize-size', (settings, key) => {
+        note_size_row.set_sensitive(settings.get_boolean(key));
+    });
+
+    // 'General > Reminders'
+    const reminders_group = new Adw.PreferencesGroup({ title: _('Reminders'), description: _('Notifications for date and time markers in notes e.g. \'call vendor @ 15:00\'') });
+
+    UI.addSelectionRow(reminders_group, 'Marker Syntax', 'How reminders are written, optionally preceded by a date (YYYY-MM-DD)', settings, 'reminder-syntax',
+        UI.selectFrom(ReminderSyntax));
+    const snooze_row = UI.addRow(reminders_group, 'Snooze', 'Minutes to snooze reminders for',
+        [ UI.createSpinButton(settings, 'reminder-snooze', 1, 1440, 0, 5, 'Snooze (min)') ]);
+
+    // disable snooze when not scanning for reminders
+    snooze_row.set_sensitive(settings.get_int('reminder-syntax') !== ReminderSyntax['Disabled']);
+    settings.connect('changed::reminder-syntax', (settings, key) => {
+        snooze_row.set_sensitive(settings.get_int(key) !== ReminderSyntax['Disabled']);
+    });
+
+    const toast = (title) => page.get_root()?.add_toast?.(new Adw.Toast({ title: title }));
+
+    // 'General > Import'
+    const import_button = new Gtk.Button({ label: _('Import Files…'), valign: Gtk.Align.CENTER });
+    const import_group = new Adw.PreferencesGroup({ title: _('Import'), description: _('Create notes from text and Markdown files'), header_suffix: import_button });
+
+    UI.addSelectionRow(import_group, 'Note Color', 'Color of imported notes', settings, 'import-note-style',
+        UI.selectFrom(NoteStyle));
+
+    import_button.connect('clicked', () => {
+        const filter = new Gtk.FileFilter({ name: _('Text & Markdown') });
+        for (const pattern of IMPORT_PATTERNS) {
+            filter.add_pattern(pattern);
+        }
+        const dialog = new Gtk.FileDialog({ title: _('Import Notes'), default_filter: filter });
+        dialog.open_multiple(page.get_root(), null, (dialog, res) => {
+            const paths = [];
+            try {
+                const files = dialog.open_multiple_finish(res);
+                for (let i = 0; i < files.get_n_items(); i++) {
+                    paths.push(files.get_item(i).get_path());
+                }
+            } catch (error) {
+                return;  // dismissed
+            }
+
+            const style = settings.get_int('import-note-style');
+            callExtension('ImportFiles', new GLib.Variant('(asi)', [paths, style]), (result) => {
+                if (result !== null) {
+                    toast(result[0] ? _('Notes imported') + ` (${result[0]})` : _('Unable to import notes'));
+                    return;
+                }
+                // extension not enabled, import from preferences instead (notes show up on next launch)
+                import_files(paths, style, (imported) => {
+                    toast(imported ? _('Notes imported, restart Sticky Notes to show them') + ` (${imported})` : _('Unable to import notes'));
+                });
+            });
+        });
+    });
+
+    // 'General > Keyboard Shortcuts'
+    const shortcuts_group = new Adw.PreferencesGroup({ title: _('Keyboard Shortcuts'), description: _('Global shortcuts, available even if indicator is hidden') });
+
+    for (const [action, key] of Object.entries(ShortcutKey)) {
+        UI.addShortcutRow(shortcuts_group, action, '', settings, key);
+    }
+    UI.addShortcutRow(shortcuts_group, 'Quick Capture', 'Open quick-capture entry in indicator menu', settings, 'capture-shortcut');
+
     page.add(behavior_group);
+    page.add(arrangement_group);
+    page.add(reminders_group);
+    page.add(import_group);
+    page.add(shortcuts_group);
 
-    return [behavior_group];
+    return [behavior_group, arrangement_group, reminders_group, import_group, shortcuts_group];
 }
 
 //------------------------------------------------------------------------------
@@ -66,6 +216,9 @@ function fillIndicatorPage(page, settings) {
         [ UI.createSelection(settings, 'scroll-up-action', UI.selectFrom(StickyNotesAction), 'Scroll Up'),
           UI.createSelection(settings, 'scroll-down-action', UI.selectFrom(StickyNotesAction), 'Scroll Down') ]);
 
+    UI.addSelectionRow(actions_group, 'Quick Capture Color', 'Color of notes created from the indicator menu entry', settings, 'capture-note-style',
+        UI.selectFrom(NoteStyle));
+
     // customize row icons
     mouse_bindings_row.set_icon_name('input-mouse-symbolic');         // alternatives: input-mouse-symbolic, find-location-symbolic, input-touchpad-symbolic
     mouse_scroll_row.set_icon_name('object-flip-vertical-symbolic');  // alternatives: view-wrapped-symbolic-rtl, view-fullscreen-symbolic, mail-send-receive-symbolic
@@ -86,6 +239,121 @@ function fillIndicatorPage(page, settings) {
     return [appearance_group, actions_group];
 }
 
+//------------------------------------------------------------------------------
+/// @brief Fill preferences page with note backup settings, saved backups and Markdown export settings.
+///
+/// @param      {Adw.PreferencesPage}  Page to fill.
+/// @param      {Gio.Settings}         Extension settings.
+///
+/// @note  Backups are taken and restored by the extension (over D-Bus), as restoring requires closing Sticky Notes first;
+///        on-demand backups fall back to the preferences process if the extension is not enabled.
+///
+function fillBackupsPage(page, settings) {
+    // 'Backups > Schedule'
+    const schedule_group = new Adw.PreferencesGroup({ title: _('Schedule'), description: _('Periodic snapshots of the note directory') });
+
+    UI.addToggleRow(schedule_group, 'Automatic Backups', 'Back up notes periodically', settings, 'backup-enabled');
+    const interval_row = UI.addRow(schedule_group, 'Interval', 'Hours between backups',
+        [ UI.createSpinButton(settings, 'backup-interval', 1, 720, 0, 1, 'Interval (h)') ]);
+    UI.addRow(schedule_group, 'Keep', 'Number of daily and weekly backups to keep',
+        [ UI.createSpinButton(settings, 'backup-keep-daily', 0, 365, 0, 1, 'Daily backups'),
+          UI.createSpinButton(settings, 'backup-keep-weekly', 0, 520, 0, 1, 'Weekly backups') ]);
+
+    UI.addFolderRow(schedule_group, 'Location', settings, 'backup-path', backup_dir);
+
+    // disable interval when not backing up periodically
+    interval_row.set_sensitive(settings.get_boolean('backup-enabled'));
+    settings.connect('changed::backup-enabled', (settings, key) => {
+        interval_row.set_sensitive(settings.get_boolean(key));
+    });
+
+    // 'Backups > Saved Backups'
+    const backup_button = new Gtk.Button({ label: _('Back Up Now'), valign: Gtk.Align.CENTER, css_classes: ['suggested-action'] });
+    const backups_group = new Adw.PreferencesGroup({ title: _('Saved Backups'), header_suffix: backup_button });
+
+    const toast = (title) => page.get_root()?.add_toast?.(new Adw.Toast({ title: title }));
+
+    const backup_rows = [];
+    const updateBackups = () => {
+        list_backups(backup_dir(settings), (backups) => {
+            for (const row of backup_rows.splice(0)) {
+                backups_group.remove(row);
+            }
+
+            if (!backups.length) {
+                backup_rows.push(UI.addRow(backups_group, 'No Backups', ''));
+            }
+            for (const backup of backups) {
+                const restore_button = new Gtk.Button({ icon_name: 'edit-undo-symbolic', valign: Gtk.Align.CENTER, tooltip_text: _('Restore') });
+                restore_button.connect('clicked', () => restoreBackup(backup));
+                backup_rows.push(UI.addRow(backups_group, backup['time'].format('%c'), GLib.format_size(backup['size']), [ restore_button ]));
+            }
+        });
+    };
+
+    const restoreBackup = (backup) => {
+        const dialog = new Adw.AlertDialog({
+            heading: _('Restore Backup?'),
+            body: _('Sticky Notes will be closed and current notes replaced by those in this backup.'),
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('restore', _('Restore'));
+        dialog.set_response_appearance('restore', Adw.ResponseAppearance.DESTRUCTIVE);
+        dialog.connect('response', (_dialog, response) => {
+            if (response !== 'restore') {
+                return;
+            }
+            callExtension('RestoreBackup', new GLib.Variant('(s)', [backup['path']]), (result) => {
+                if (result === null) {
+                    toast(_('Extension must be enabled to restore backups'));
+                } else {
+                    toast(result[0] ? _('Notes restored') : _('Unable to restore notes'));
+                }
+            });
+        });
+        dialog.present(page.get_root());
+    };
+
+    backup_button.connect('clicked', () => {
+        backup_button.set_sensitive(false);
+        const done = (path) => {
+            backup_button.set_sensitive(true);
+            toast(path ? _('Notes backed up') : _('Unable to back up notes'));
+            updateBackups();
+        };
+        callExtension('Backup', null, (result) => {
+            if (result !== null) {
+                done(result[0]);
+                return;
+            }
+            // extension not enabled, back up from preferences instead
+            create_backup(backup_dir(settings), (path) => {
+                if (path) {
+                    rotate_backups(backup_dir(settings), settings.get_int('backup-keep-daily'), settings.get_int('backup-keep-weekly'), () => done(path));
+                } else {
+                    done(path);
+                }
+            });
+        });
+    });
+
+    // update backup list on location change
+    settings.connect('changed::backup-path', updateBackups);
+    updateBackups();
+
+    // 'Backups > Markdown Export'
+    const markdown_group = new Adw.PreferencesGroup({ title: _('Markdown Export'), description: _('One Markdown file per note, named by title') });
+
+    UI.addToggleRow(markdown_group, 'Mirror Notes', 'Keep exported files in sync with notes', settings, 'markdown-mirror');
+    UI.addFolderRow(markdown_group, 'Location', settings, 'markdown-path', markdown_dir);
+
+    page.add(schedule_group);
+    page.add(backups_group);
+    page.add(markdown_group);
+
+    return [schedule_group, backups_group, markdown_group];
+}
+
 //------------------------------------------------------------------------------
 /// @brief Fill preferences page with extension information.
 ///
@@ -103,11 +371,18 @@ function fillAboutPage(page, metadata) {
     // get/parse extension and app versions
     const extension_version = metadata['version-name'] ?? metadata['version'].toString();
     const extension_version_icon_name = (extension_version ? 'adw-external-link-symbolic' :  'dialog-error-symbolic');
-    const sticky_version = AppInfo['version'];
+    // Sticky Notes version is probed asynchronously (cf. AppDetection), hence label is updated once detected
+    const sticky_version = new Gtk.Label();
+    const update_version = () => {
+        sticky_version.label = AppDetection.detecting ? _('Detecting…') : (AppInfo['version'] || _('Unknown'));
+    };
+    update_version();
+    const version_id = AppDetection.connect('changed', update_version);
+    sticky_version.connect('destroy', () => AppDetection.disconnect(version_id));
 
     UI.addRow(info_group, 'Version', '', [ new Gtk.Label({ label: `${extension_version}` }),
                                            new Gtk.LinkButton({ icon_name: extension_version_icon_name, uri: metadata['url'] }) ]);
-    UI.addRow(info_group, 'Sticky Notes Version', '', [ new Gtk.Label({ label: `${sticky_version}` }),
+    UI.addRow(info_group, 'Sticky Notes Version', '', [ sticky_version,
                                                         new Gtk.LinkButton({ icon_name: 'adw-external-link-symbolic', uri: 'https://flathub.org/apps/com.vixalien.sticky' }) ]);
     UI.addRow(info_group, 'GNOME Version', '', [ new Gtk.Label({ label: `${Config.PACKAGE_VERSION.toString()}` }),
                                                  new Gtk.LinkButton({ icon_name: 'adw-external-link-symbolic', uri: `https://release.gnome.org/${Config.PACKAGE_VERSION.toString().split('.')[0]}` }) ]);
@@ -150,6 +425,14 @@ export default class StickyNotesIntegrationPreferences extends ExtensionPreferen
         window.add(indicator_page);
         this._indicator_groups = fillIndicatorPage(indicator_page, this.getSettings());
 
+        // 'Backups'
+        const backups_page = new Adw.PreferencesPage({
+            title: _('Backups'),
+            icon_name: 'document-save-symbolic'
+        });
+        window.add(backups_page);
+        this._backups_groups = fillBackupsPage(backups_page, this.getSettings());
+
         // 'About' page
         const about_page = new Adw.PreferencesPage({
             title: _('About'),
@@ -158,22 +441,52 @@ export default class StickyNotesIntegrationPreferences extends ExtensionPreferen
         window.add(about_page);
         this._about_groups = fillAboutPage(about_page, this.metadata);
 
-        // check if Sticky Notes is installed, disable all settings if not
-        // @todo check became redundant as of newer version, replace with just if(AppInfo['process'])
-        if (!is_available(AppInfo['process'])) {
-            this.disable();
-            UI.addErrorBox(general_page, 'Sticky Notes is not installed');
-            return;
-        }
+        // check if Sticky Notes is installed once detected (asynchronously), disabling all settings if not
+        // settings are kept enabled while detecting, and re-enabled if Sticky Notes gets installed meanwhile
+        let error_group = null;
+        const update = () => {
+            if (AppDetection.detecting) {
+                return;
+            }
+            if (!AppInfo['process'] && !error_group) {
+                this.disable();
+                error_group = UI.addErrorBox(general_page, 'Sticky Notes is not installed');
+            } else if (AppInfo['process'] && error_group) {
+                this.enable();
+                general_page.remove(error_group);
+                error_group = null;
+            }
+        };
+        const detection_id = AppDetection.connect('changed', update);
+        AppDetection.watch();
+        update();
 
         // clean member instances on window close
         window.connect('close-request', () => {
+            AppDetection.disconnect(detection_id);
+            AppDetection.unwatch();
             this._general_groups = null;
             this._indicator_groups = null;
+            this._backups_groups = null;
             this._about_groups = null;
         });
     }
 
+    //--------------------------------------------------------------------------
+    /// @brief Re-enables all settings groups, once Sticky Notes is detected (cf. disable()).
+    ///
+    enable() {
+        for (const group of this._general_groups) {
+            group.set_sensitive(true);
+        }
+        for (const group of this._indicator_groups) {
+            group.set_sensitive(true);
+        }
+        for (const group of this._backups_groups) {
+            group.set_sensitive(true);
+        }
+    }
+
     disable() {
         for (const group of this._general_groups) {
             group.set_sensitive(false);
@@ -181,6 +494,9 @@ export default class StickyNotesIntegrationPreferences extends ExtensionPreferen
         for (const group of this._indicator_groups) {
             group.set_sensitive(false);
         }
+        for (const group of this._backups_groups) {
+            group.set_sensitive(false);
+        }
     }
 
 }
\ No newline at end of file
@@ -35,6 +35,7 @@ export const BackgroundMenuOverride = GObject.registerClass({
         this._settings = extension.getSettings();
         this._sticky_notes = sticky_notes;
         this._background_menu = null;
+        this._menu_items = [];
     }
 
     //--------------------------------------------------------------------------
@@ -95,27 +96,52 @@ export const BackgroundMenuOverride = GObject.registerClass({
         for (const background of Main.layoutManager._bgManagers) {
             this._background_menu = background.backgroundActor._backgroundMenu;
 
-            // @todo add setting to enable icon on context menu?
-            // this._new_note_menu_item = new PopupMenu.PopupImageMenuItem(_('New Note'), _('view-pin-symbolic'));  // icon before text
-            this._new_note_menu_item = new PopupMenu.PopupMenuItem(_('New Note'));
-            this._new_note_menu_item.add_child(new St.Label({ text: null, x_expand: true, x_align: Clutter.ActorAlign.CENTER }));
-            this._new_note_menu_item.add_child(new St.Icon({ icon_name: 'window-new-symbolic', style_class: 'popup-menu-icon', x_align: Clutter.ActorAlign.FILL }));  // alternatives: 'list-add-symbolic' and 'view-pin-symbolic'
-
-            this._separator_menu_item = new PopupMenu.PopupSeparatorMenuItem();
-
-            // bind 'new note' callback
-            this._on_new_note = this._new_note_menu_item.connect('activate', (_, event) => {
+            // @note entries are inserted at the top of the menu, hence added in reverse order
+            this._addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+            this._addMenuItem(this._createMenuItem(_('Spread Notes'), 'view-grid-symbolic', () => {
+                this._sticky_notes.spread();
+            }));
+            this._addMenuItem(this._createMenuItem(_('New Note from Clipboard'), 'edit-paste-symbolic', (event) => {
+                this._sticky_notes.newFromClipboard(event.get_coords());
+            }));
+            this._addMenuItem(this._createMenuItem(_('New Note'), 'window-new-symbolic', (event) => {  // alternatives: 'list-add-symbolic' and 'view-pin-symbolic'
                 // console.debug(this.constructor.name + `: creating new note @ (${coords[0]},${coords[1]})`);
                 const coords = event.get_coords();
                 this._sticky_notes.new(coords);
-            });
-
-            // & add to background menu
-            this._background_menu.addMenuItem(this._separator_menu_item, 0);
-            this._background_menu.addMenuItem(this._new_note_menu_item, 0);
+            }));
         }
     }
 
+    //--------------------------------------------------------------------------
+    /// @brief Creates a menu entry with given *label* and *icon_name* (aligned right).
+    ///
+    /// @param      {String}    label       Entry label.
+    /// @param      {String}    icon_name   Icon name.
+    /// @param      {Function}  callback    Called on activation, with triggering Clutter.Event (e.g. to get click coordinates).
+    ///
+    /// @return     {PopupMenu.PopupMenuItem}  New menu entry.
+    ///
+    _createMenuItem(label, icon_name, callback) {
+        // @todo add setting to enable icon on context menu?
+        // const item = new PopupMenu.PopupImageMenuItem(label, icon_name);  // icon before text
+        const item = new PopupMenu.PopupMenuItem(label);
+        item.add_child(new St.Label({ text: null, x_expand: true, x_align: Clutter.ActorAlign.CENTER }));
+        item.add_child(new St.Icon({ icon_name: icon_name, style_class: 'popup-menu-icon', x_align: Clutter.ActorAlign.FILL }));
+        item.connect('activate', (_, event) => callback(event));
+
+        return item;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Adds given *item* to the top of current background menu, keeping track of it for revert().
+    ///
+    /// @param      {PopupMenu.PopupBaseMenuItem}  item    Menu entry.
+    ///
+    _addMenuItem(item) {
+        this._background_menu.addMenuItem(item, 0);
+        this._menu_items.push(item);
+    }
+
     //--------------------------------------------------------------------------
     /// @brief Reverts Gnome's default background menu to default state / removes override.
     ///
@@ -128,8 +154,10 @@ export const BackgroundMenuOverride = GObject.registerClass({
 
         console.debug('Reverting background menu');
 
-        this._new_note_menu_item?.destroy();
-        this._separator_menu_item?.destroy();
+        for (const item of this._menu_items) {
+            item.destroy();
+        }
+        this._menu_items.length = 0;
         this._background_menu = null;
 
         safe_disconnect(this._settings, this._on_settings_change_id);
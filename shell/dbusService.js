@@ -0,0 +1,242 @@
+import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { safe_disconnect } from '../lib/utils.js';
+
+//------------------------------------------------------------------------------
+/// @brief D-Bus interface exported by the extension.
+///
+/// @note  'New' takes coordinates as an array, empty for default placement (D-Bus has no optional arguments).
+///        'Show' and 'Hide' take the number of notes to act on, 0 for all.
+///        'ListNotes' returns notes in note store as a JSON array (cf. NoteStore), with an extra 'window' flag for notes with an open window.
+///        'ImportFiles' takes text/Markdown file paths and a note style (cf. NoteStyle), and returns the number of imported notes.
+///        'Backup' returns the path to the new backup archive, empty on failure; 'RestoreBackup' takes a path listed in backup directory.
+///
+const DBUS_INTERFACE_XML = `
+<node>
+  <interface name="org.gnome.Shell.Extensions.StickyNotesIntegration">
+    <method name="New">
+      <arg type="ai" direction="in" name="at"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="Show">
+      <arg type="u" direction="in" name="n"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="Hide">
+      <arg type="u" direction="in" name="n"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="Toggle"/>
+    <method name="Stack">
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="Launch">
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="Close">
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="ListNotes">
+      <arg type="s" direction="out" name="notes"/>
+    </method>
+    <method name="ImportFiles">
+      <arg type="as" direction="in" name="paths"/>
+      <arg type="i" direction="in" name="style"/>
+      <arg type="u" direction="out" name="imported"/>
+    </method>
+    <method name="Backup">
+      <arg type="s" direction="out" name="path"/>
+    </method>
+    <method name="RestoreBackup">
+      <arg type="s" direction="in" name="path"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <property name="Active" type="b" access="read"/>
+    <property name="NWindows" type="t" access="read"/>
+    <property name="MainWindowOpen" type="b" access="read"/>
+    <signal name="NoteOpened">
+      <arg type="s" name="title"/>
+    </signal>
+    <signal name="NoteClosed">
+      <arg type="s" name="title"/>
+    </signal>
+  </interface>
+</node>`;
+
+//------------------------------------------------------------------------------
+/// @brief Class that exports StickyNotesInterface on the session bus, for scripting notes from other tools.
+///
+/// @note  Bus name and interface are 'org.gnome.Shell.Extensions.StickyNotesIntegration', object path '/org/gnome/Shell/Extensions/StickyNotesIntegration'.
+///
+/// @see   https://gjs.guide/guides/gio/dbus.html#exporting-interfaces
+///
+export const DBusService = GObject.registerClass({
+    GTypeName: 'StickyNotesDBusService',
+}, class DBusService extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Well-known bus name owned by the extension.
+    ///
+    /// @type       {String}
+    ///
+    static get BUS_NAME() { return 'org.gnome.Shell.Extensions.StickyNotesIntegration'; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Object path of exported interface.
+    ///
+    /// @type       {String}
+    ///
+    static get OBJECT_PATH() { return '/org/gnome/Shell/Extensions/StickyNotesIntegration'; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {StickyNotesInterface}  sticky_notes        StickyNotesInterface instance providing app interface.
+    /// @param      {NoteBackupScheduler}   [backups=null]      NoteBackupScheduler instance, required for 'Backup' and 'RestoreBackup'.
+    ///
+    constructor(sticky_notes, backups = null) {
+        super();
+
+        this._sticky_notes = sticky_notes;
+        this._backups = backups;
+        this._dbus = null;
+        this._owner_id = null;
+        this._note_ids = [];
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Exports interface and owns bus name.
+    ///
+    enable() {
+        this._dbus = Gio.DBusExportedObject.wrapJSObject(DBUS_INTERFACE_XML, this);
+        this._dbus.export(Gio.DBus.session, DBusService.OBJECT_PATH);
+        this._owner_id = Gio.bus_own_name_on_connection(Gio.DBus.session, DBusService.BUS_NAME, Gio.BusNameOwnerFlags.NONE, null, null);
+
+        this._note_ids = [
+            this._sticky_notes.connect('note-opened', (_, window) => {
+                this._dbus.emit_signal('NoteOpened', new GLib.Variant('(s)', [window.get_title() ?? '']));
+            }),
+            this._sticky_notes.connect('note-closed', (_, window) => {
+                this._dbus.emit_signal('NoteClosed', new GLib.Variant('(s)', [window.get_title() ?? '']));
+            }),
+        ];
+        this._on_n_windows_id = this._sticky_notes.connect('notify::n-windows', this._onWindowsChanged.bind(this));
+        this._on_main_window_id = this._sticky_notes.connect('notify::main-window-open', () => {
+            this._dbus.emit_property_changed('Active', GLib.Variant.new_boolean(this.Active));
+            this._dbus.emit_property_changed('MainWindowOpen', GLib.Variant.new_boolean(this.MainWindowOpen));
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Unexports interface and releases bus name.
+    ///
+    disable() {
+        safe_disconnect(this._sticky_notes, this._on_n_windows_id);
+        safe_disconnect(this._sticky_notes, this._on_main_window_id);
+        for (const id of this._note_ids) {
+            safe_disconnect(this._sticky_notes, id);
+        }
+        this._note_ids.length = 0;
+
+        if (this._owner_id) {
+            Gio.bus_unown_name(this._owner_id);
+            this._owner_id = null;
+        }
+        this._dbus?.unexport();
+        this._dbus = null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Callback for changes in number of open notes, emits property changes.
+    ///
+    _onWindowsChanged() {
+        this._dbus.emit_property_changed('Active', GLib.Variant.new_boolean(this.Active));
+        this._dbus.emit_property_changed('NWindows', GLib.Variant.new_uint64(this.NWindows));
+    }
+
+    //--------------------------------------------------------------------------
+    // D-Bus methods & properties (cf. DBUS_INTERFACE_XML)
+
+    New(at) {
+        return Boolean(this._sticky_notes.new(at.length === 2 ? at : []));
+    }
+
+    Show(n) {
+        return this._sticky_notes.show(n);
+    }
+
+    Hide(n) {
+        return this._sticky_notes.hide(n);
+    }
+
+    Toggle() {
+        this._sticky_notes.toggle();
+    }
+
+    Stack() {
+        return this._sticky_notes.stack();
+    }
+
+    Launch() {
+        return Boolean(this._sticky_notes.launch());
+    }
+
+    Close() {
+        return this._sticky_notes.close();
+    }
+
+    ListNotes() {
+        const notes = this._sticky_notes.notes?.list() ?? [];
+
+        return JSON.stringify(notes.map((note) => ({
+            'uuid'     : note['uuid'],
+            'title'    : note['title'],
+            'style'    : note['style'],
+            'color'    : note['color'],
+            'created'  : note['created'],
+            'modified' : note['modified'],
+            'open'     : note['open'],
+            'window'   : Boolean(this._sticky_notes.getNoteWindow(note['uuid'])),
+        })));
+    }
+
+    ImportFilesAsync([paths, style], invocation) {
+        const started = this._sticky_notes.importFiles(paths, style, (imported) => {
+            invocation.return_value(new GLib.Variant('(u)', [imported]));
+        });
+        if (!started) {
+            invocation.return_value(new GLib.Variant('(u)', [0]));
+        }
+    }
+
+    BackupAsync(_, invocation) {
+        const started = this._backups?.backup((path) => {
+            invocation.return_value(new GLib.Variant('(s)', [path ?? '']));
+        });
+        if (!started) {
+            invocation.return_value(new GLib.Variant('(s)', ['']));
+        }
+    }
+
+    RestoreBackupAsync([path], invocation) {
+        const started = this._backups?.restore(path, (success) => {
+            invocation.return_value(new GLib.Variant('(b)', [success]));
+        });
+        if (!started) {
+            invocation.return_value(new GLib.Variant('(b)', [false]));
+        }
+    }
+
+    get Active() {
+        return this._sticky_notes.active;
+    }
+
+    get NWindows() {
+        return this._sticky_notes.n_windows;
+    }
+
+    get MainWindowOpen() {
+        return this._sticky_notes.main_window_open;
+    }
+});
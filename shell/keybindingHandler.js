@@ -0,0 +1,75 @@
+import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import { StickyNotesAction, ShortcutKey } from '../lib/globals.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class that registers global keyboard shortcuts for Sticky Notes actions.
+///
+/// @note  Shortcuts are stored as string arrays in extension schema (cf. ShortcutKey) and are updated by Mutter on setting change.
+///        Available regardless of panel indicator visibility.
+///
+export const KeybindingHandler = GObject.registerClass({
+    GTypeName: 'StickyNotesKeybindingHandler'
+}, class KeybindingHandler extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {Extension}             extension       Extension instance.
+    /// @param      {StickyNotesInterface}  sticky_notes    StickyNotesInterface instance providing app interface.
+    ///
+    constructor(extension, sticky_notes) {
+        super();
+
+        this._settings = extension.getSettings();
+        this._sticky_notes = sticky_notes;
+        this._keys = [];
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Registers keybindings for all actions.
+    ///
+    enable() {
+        for (const [action, key] of Object.entries(ShortcutKey)) {
+            this.add(key, this._sticky_notes.getAction(StickyNotesAction[action]));
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Registers a single keybinding.
+    ///
+    /// @param      {String}    key       Setting key holding the shortcut.
+    /// @param      {Function}  callback  Callback to run when shortcut is pressed.
+    ///
+    /// @return     {Boolean}   True if registered, False otherwise.
+    ///
+    add(key, callback) {
+        if (!callback || this._keys.includes(key)) {
+            return false;
+        }
+
+        const action = Main.wm.addKeybinding(key, this._settings, Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW, () => callback());
+
+        if (action === Meta.KeyBindingAction.NONE) {
+            console.debug(this.constructor.name + `: unable to register '${key}'`);
+            return false;
+        }
+
+        this._keys.push(key);
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Unregisters all keybindings.
+    ///
+    disable() {
+        for (const key of this._keys) {
+            Main.wm.removeKeybinding(key);
+        }
+        this._keys.length = 0;
+    }
+});
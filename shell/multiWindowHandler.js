@@ -1,8 +1,14 @@
 import GObject from 'gi://GObject';
 import Meta from 'gi://Meta';
 
+import { AppInfo } from '../lib/globals.js';
 import { connect_until } from '../lib/utils.js';
 
+//------------------------------------------------------------------------------
+/// @brief Note store telling notes titled after the main window apart from it (cf. MultiWindowHandler.useNoteStore()).
+///
+let note_store = null;
+
 //------------------------------------------------------------------------------
 /// @brief Generic utility class to manage application windows.
 ///
@@ -12,6 +18,8 @@ import { connect_until } from '../lib/utils.js';
 /// @note Implementation inspired by "Activate By Window Title" extension.
 ///       cf. https://github.com/lucaswerkmeister/activate-window-by-title/blob/main/extension.js
 ///
+/// @note Only note windows (cf. isNote()) are handled by bulk operations; main window is only reachable through getMain().
+///
 /// @todo Consider using Shell.AppSystem instead, whose functionality seems to overlap with MultiWindowHandler.
 ///       cf. https://gnome.pages.gitlab.gnome.org/gnome-shell/shell/class.AppSystem.html
 ///
@@ -24,6 +32,7 @@ export const MultiWindowHandler = GObject.registerClass({
     /// @param      {String}   wm_class             Window class property.
     /// @param      {Number}   [n=0]                Number of windows to get.
     /// @param      {Boolean}  [newer_first=false]  Whether to sort newer windows at the beginning of the returned window array.
+    /// @param      {Meta.Workspace}  [workspace=null]  Workspace to restrict windows to (including windows on all workspaces). Ignored if null.
     ///
     /// @return     {Array}    Windows (as Meta.Window).
     ///
@@ -31,7 +40,7 @@ export const MultiWindowHandler = GObject.registerClass({
     ///
     /// @see        https://github.com/lucaswerkmeister/activate-window-by-title/blob/main/extension.js
     ///
-    static get(wm_class, n = 0, newer_first = false) {
+    static get(wm_class, n = 0, newer_first = false, workspace = null) {
         const windows = [];
         let wcount = 0;
 
@@ -41,7 +50,7 @@ export const MultiWindowHandler = GObject.registerClass({
         }
         for (const actor of actors) {
             const window = actor.get_meta_window();
-            if (window.get_wm_class() === wm_class) {
+            if (window.get_wm_class() === wm_class && MultiWindowHandler.isNote(window) && (!workspace || window.located_on_workspace(workspace))) {
                 windows.push(window);
                 wcount++;
                 if (n && wcount >= n) {
@@ -53,6 +62,81 @@ export const MultiWindowHandler = GObject.registerClass({
         return windows;
     }
 
+    //--------------------------------------------------------------------------
+    /// @brief Sets note store used to classify windows (cf. isMain()).
+    ///
+    /// @param      {NoteStore}  store    Note store, or null to classify windows by title only.
+    ///
+    static useNoteStore(store) {
+        note_store = store;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Tells whether given *window* is an application main window (i.e. Sticky Notes' 'All Notes') rather than a note window.
+    ///
+    /// @param      {Meta.Window}  window    Window to classify.
+    ///
+    /// @return     {Boolean}  True if main window, false otherwise.
+    ///
+    /// @note  Main and note windows share WM_CLASS, hence main window is told apart by its title, in English or in user language
+    ///        (cf. AppInfo['main-titles']); notes are titled after their content, hence a window whose title matches a note in the store
+    ///        (cf. useNoteStore()) is a note, even if titled e.g. 'All Notes'.
+    ///
+    static isMain(window) {
+        if (window.get_transient_for() || window.get_wm_class() !== AppInfo['wm-class']) {
+            return false;
+        }
+
+        const title = (window.get_title() ?? '').trim();
+        return AppInfo['main-titles'].includes(title) && !note_store?.find(title);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Tells whether given *window* is a document (i.e. note) window, as opposed to main window (cf. isMain()) or dialogs.
+    ///
+    /// @param      {Meta.Window}  window    Window to classify.
+    ///
+    /// @return     {Boolean}  True if note window, false otherwise.
+    ///
+    static isNote(window) {
+        return !window.get_transient_for() && !MultiWindowHandler.isMain(window);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Gets the main window (cf. isMain()) matching given *wm_class*.
+    ///
+    /// @param      {String}   wm_class    Window class property.
+    ///
+    /// @return     {Meta.Window}  Main window, or null if not open.
+    ///
+    static getMain(wm_class) {
+        for (const actor of global.get_window_actors()) {
+            const window = actor.get_meta_window();
+            if (window.get_wm_class() === wm_class && MultiWindowHandler.isMain(window)) {
+                return window;
+            }
+        }
+
+        return null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Finds the window matching given *wm_class* with given *title*.
+    ///
+    /// @param      {String}   wm_class    Window class property.
+    /// @param      {String}   title       Window title (case insensitive, surrounding whitespace ignored).
+    ///
+    /// @return     {Meta.Window}  Matching window, or null if not found.
+    ///
+    static find(wm_class, title) {
+        const needle = (title ?? '').trim().toLowerCase();
+        if (!needle) {
+            return null;
+        }
+
+        return MultiWindowHandler.get(wm_class).find((window) => (window.get_title() ?? '').trim().toLowerCase() === needle) ?? null;
+    }
+
     //--------------------------------------------------------------------------
     /// @brief  Get number of *active* windows matching given *wm_class*.
     ///
@@ -60,8 +144,9 @@ export const MultiWindowHandler = GObject.registerClass({
     ///
     /// @param      {String}  wm_class             The windows message class
     /// @param      {Boolean} [active_only=false]  Whether to count only active windows.
+    /// @param      {Meta.Workspace}  [workspace=null]  Workspace to restrict count to. Ignored if null.
     ///
-    static count(wm_class, active_only = false) {
+    static count(wm_class, active_only = false, workspace = null) {
         let wcount = 0;
 
         for (const actor of global.get_window_actors()) {
@@ -69,7 +154,10 @@ export const MultiWindowHandler = GObject.registerClass({
             if (active_only && window.is_hidden()) {  // @todo use !window.is_above() instead of is_hidden()
                 continue;
             }
-            if (window.get_wm_class() === wm_class) {
+            if (workspace && !window.located_on_workspace(workspace)) {
+                continue;
+            }
+            if (window.get_wm_class() === wm_class && MultiWindowHandler.isNote(window)) {
                 wcount++;
             }
         }
@@ -83,38 +171,45 @@ export const MultiWindowHandler = GObject.registerClass({
     /// @param      {String}   wm_class             Window class property.
     /// @param      {Number}   [n=0]                Number of windows to activate.
     /// @param      {Boolean}  [newer_first=false]  Wether to activare newer windows first.
+    /// @param      {Meta.Workspace}  [workspace=null]  Workspace to restrict windows to. Ignored if null.
     ///
     /// @return     {Boolean}  True if *at least* a window was activated, False otherwise.
     ///
-    static activate(wm_class, n = 0, newer_first = false) {
-        const windows = MultiWindowHandler.get(wm_class, n, newer_first);
-
-        const activate = (window) => {
-            const now = global.get_current_time();
-            const workspace = window.get_workspace();
-            if (workspace) {
-                workspace.activate_with_focus(window, now);  // alternatively, use window.activate_with_workspace(workspace)
-            } else {
-                window.activate(now);
-            }
-        };
+    static activate(wm_class, n = 0, newer_first = false, workspace = null) {
+        const windows = MultiWindowHandler.get(wm_class, n, newer_first, workspace);
 
-        windows.map((window) => { activate(window); });
+        windows.map((window) => { MultiWindowHandler.focus(window); });
 
         return windows.length;
     }
 
+    //--------------------------------------------------------------------------
+    /// @brief Activates (i.e. brings to front and focuses) given *window*, switching to its workspace if necessary.
+    ///
+    /// @param      {Meta.Window}  window  Window to activate.
+    ///
+    static focus(window) {
+        const now = global.get_current_time();
+        const workspace = window.get_workspace();
+        if (workspace) {
+            workspace.activate_with_focus(window, now);  // alternatively, use window.activate_with_workspace(workspace)
+        } else {
+            window.activate(now);
+        }
+    }
+
     //--------------------------------------------------------------------------
     /// @brief Minimizes *n* windows matching given *wm_class*, in custom order.
     ///
     /// @param      {String}   wm_class             Window class property.
     /// @param      {Number}   [n=0]                Number of windows to minimize.
     /// @param      {Boolean}  [newer_first=false]  Whether to minimize newer windows first.
+    /// @param      {Meta.Workspace}  [workspace=null]  Workspace to restrict windows to. Ignored if null.
     ///
     /// @return     {Boolean}  True if *at least* a window was minimized, False otherwise.
     ///
-    static minimize(wm_class, n = 0, newer_first = false) {
-        const windows = MultiWindowHandler.get(wm_class, n, newer_first);
+    static minimize(wm_class, n = 0, newer_first = false, workspace = null) {
+        const windows = MultiWindowHandler.get(wm_class, n, newer_first, workspace);
 
         windows.map((window) => { window.minimize(); });
 
@@ -167,6 +262,88 @@ export const MultiWindowHandler = GObject.registerClass({
         return windows.length;
     }
 
+    //--------------------------------------------------------------------------
+    /// @brief Moves (and optionally resizes) given *window* to given *[x,y]* coordinates.
+    ///
+    /// @param      {Meta.Window}  window          Window to move.
+    /// @param      {Number}       x               Coordinates (pixel column #).
+    /// @param      {Number}       y               Coordinates (pixel row #).
+    /// @param      {Number}       [width=null]    Frame width. Size is kept if null.
+    /// @param      {Number}       [height=null]   Frame height. Size is kept if null.
+    ///
+    /// @note  Hidden windows are moved once shown (cf. schedule()).
+    ///
+    static place(window, x, y, width = null, height = null) {
+        const [fname, ...args] = (width && height) ? ['move_resize_frame', true, x, y, width, height] : ['move_frame', true, x, y];
+
+        if (window.is_hidden() || !window.allows_move()) {
+            MultiWindowHandler.schedule(window, fname, ...args);
+        } else {
+            window[fname](...args);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Takes a snapshot of the geometry of all windows matching given *wm_class*.
+    ///
+    /// @param      {String}   wm_class    Window class property.
+    ///
+    /// @return     {Array}    Window geometries, as objects with 'title', 'x', 'y', 'width', 'height' and 'monitor' (serializable).
+    ///
+    static snapshot(wm_class) {
+        return MultiWindowHandler.get(wm_class).map((window) => {
+            const frame = window.get_frame_rect();
+            return {
+                'title'   : window.get_title() ?? '',
+                'x'       : frame.x,
+                'y'       : frame.y,
+                'width'   : frame.width,
+                'height'  : frame.height,
+                'monitor' : window.get_monitor(),
+            };
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Restores window geometries from given *snapshot* (cf. snapshot()) to windows matching given *wm_class*.
+    ///
+    /// @param      {String}   wm_class    Window class property.
+    /// @param      {Array}    snapshot    Window geometries.
+    ///
+    /// @return     {Number}   Number of restored windows.
+    ///
+    /// @note  Windows are matched to snapshot entries by title first, remaining windows take remaining entries in order.
+    ///        Entries referring to unavailable monitors are ignored.
+    ///
+    static restore(wm_class, snapshot) {
+        const entries = snapshot.filter((entry) => entry['monitor'] < global.display.get_n_monitors());
+        const windows = MultiWindowHandler.get(wm_class);
+        const pending = [];
+        let wcount = 0;
+
+        const apply = (window, entry) => {
+            entries.splice(entries.indexOf(entry), 1);
+            MultiWindowHandler.place(window, entry['x'], entry['y'], entry['width'], entry['height']);
+            wcount++;
+        };
+
+        for (const window of windows) {
+            const entry = entries.find((e) => e['title'] === (window.get_title() ?? ''));
+            if (entry) {
+                apply(window, entry);
+            } else {
+                pending.push(window);
+            }
+        }
+        for (const window of pending) {
+            if (entries.length) {
+                apply(window, entries[0]);
+            }
+        }
+
+        return wcount;
+    }
+
     //--------------------------------------------------------------------------
     /// @brief  Schedules a call to given *fname* on given *window* once the 'shown' signal is emitted.
     ///         Useful when manipulating windows before they've finished initialization.
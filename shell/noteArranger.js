@@ -0,0 +1,139 @@
+import GObject from 'gi://GObject';
+
+import { MultiWindowHandler } from './multiWindowHandler.js';
+import { Arrangement, ScreenEdge } from '../lib/globals.js';
+
+//------------------------------------------------------------------------------
+/// @brief Utility class to arrange (multiple) windows on a monitor's work area.
+///
+/// @note Provides static implementations for each arrangement mode (cf. Arrangement), computing target frame rectangles
+///       from the monitor work area (i.e. excluding panel and other struts) and applying them through MultiWindowHandler.
+///
+export const NoteArranger = GObject.registerClass({
+    GTypeName: 'StickyNotesNoteArranger',
+}, class NoteArranger extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Arranges given *windows* on given *monitor*.
+    ///
+    /// @param      {Array}    windows                  Windows to arrange (as Meta.Window).
+    /// @param      {Number}   mode                     Arrangement mode (cf. Arrangement).
+    /// @param      {Number}   monitor                  Monitor index.
+    /// @param      {Object}   [options={}]             Arrangement options:
+    ///                                                 'origin' ([x, y] offset from work area corner, default [20, 20]),
+    ///                                                 'spacing' (pixels between/offset between notes, default 30),
+    ///                                                 'size' ([width, height] to normalize note sizes to, or null to keep sizes),
+    ///                                                 'edge' (screen edge for column arrangement, cf. ScreenEdge).
+    ///
+    /// @return     {Number}   Number of arranged windows.
+    ///
+    static arrange(windows, mode, monitor, options = {}) {
+        if (!windows.length) {
+            return 0;
+        }
+
+        const area = global.workspace_manager.get_active_workspace().get_work_area_for_monitor(monitor);
+        const [ox, oy] = options['origin'] ?? [20, 20];
+        const spacing = options['spacing'] ?? 30;
+        const size = options['size'] ?? null;
+
+        // target sizes (normalized or current)
+        const sizes = windows.map((window) => {
+            const frame = window.get_frame_rect();
+            return size ? [size[0], size[1]] : [frame.width, frame.height];
+        });
+
+        let rects = [];
+        switch (mode) {
+            case Arrangement['Stack']:
+            case Arrangement['Stack Here']:
+                rects = sizes.map(([w, h]) => [area.x + ox, area.y + oy, w, h]);
+                break;
+            case Arrangement['Cascade']:
+                rects = NoteArranger._cascade(area, ox, oy, spacing, sizes);
+                break;
+            case Arrangement['Grid']:
+                rects = NoteArranger._grid(area, ox, oy, spacing, sizes);
+                break;
+            case Arrangement['Column']:
+                rects = NoteArranger._column(area, ox, oy, spacing, sizes, options['edge'] ?? ScreenEdge['Right']);
+                break;
+            default:
+                return 0;
+        }
+
+        windows.forEach((window, i) => {
+            const [x, y, w, h] = rects[i];
+            MultiWindowHandler.place(window, x, y, size ? w : null, size ? h : null);
+        });
+
+        return windows.length;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Computes cascade layout i.e. each note offset diagonally by *spacing* from the previous one,
+    ///        restarting from origin when a note would overflow the work area.
+    ///
+    /// @return     {Array}    Target rectangles, as [x, y, width, height].
+    ///
+    static _cascade(area, ox, oy, spacing, sizes) {
+        let step = 0;
+
+        return sizes.map(([w, h]) => {
+            let x = area.x + ox + step * spacing;
+            let y = area.y + oy + step * spacing;
+            if (step && (x + w > area.x + area.width || y + h > area.y + area.height)) {
+                step = 0;
+                x = area.x + ox;
+                y = area.y + oy;
+            }
+            step++;
+            return [x, y, w, h];
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Computes grid layout i.e. notes placed row-wise in equally sized cells (sized to fit largest note),
+    ///        restarting from origin (overlapping) if work area is full.
+    ///
+    /// @return     {Array}    Target rectangles, as [x, y, width, height].
+    ///
+    static _grid(area, ox, oy, spacing, sizes) {
+        const cell_width = Math.max(...sizes.map(([w]) => w));
+        const cell_height = Math.max(...sizes.map(([, h]) => h));
+        const columns = Math.max(1, Math.floor((area.width - ox + spacing) / (cell_width + spacing)));
+        const rows = Math.max(1, Math.floor((area.height - oy + spacing) / (cell_height + spacing)));
+
+        return sizes.map(([w, h], i) => {
+            const column = i % columns;
+            const row = Math.floor(i / columns) % rows;
+            return [area.x + ox + column * (cell_width + spacing), area.y + oy + row * (cell_height + spacing), w, h];
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Computes column layout i.e. notes placed top to bottom along given screen *edge*,
+    ///        moving inwards to a new column when a note would overflow the work area.
+    ///
+    /// @return     {Array}    Target rectangles, as [x, y, width, height].
+    ///
+    static _column(area, ox, oy, spacing, sizes, edge) {
+        const rects = [];
+        let offset = ox;            // horizontal offset of current column from edge
+        let column_width = 0;
+        let y = area.y + oy;
+
+        for (const [w, h] of sizes) {
+            if (column_width && y + h > area.y + area.height) {
+                offset += column_width + spacing;
+                column_width = 0;
+                y = area.y + oy;
+            }
+            const x = (edge === ScreenEdge['Left']) ? area.x + offset : area.x + area.width - offset - w;
+            rects.push([x, y, w, h]);
+            column_width = Math.max(column_width, w);
+            y += h + spacing;
+        }
+
+        return rects;
+    }
+});
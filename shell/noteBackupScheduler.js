@@ -0,0 +1,141 @@
+import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
+
+import { backup_dir, list_backups, create_backup, rotate_backups } from '../lib/backups.js';
+import { safe_disconnect } from '../lib/utils.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class that takes periodic backups of the note directory and rotates old ones.
+///
+/// @note  Backups are timestamped archives in 'backup-path' (cf. lib/backups.js), taken every 'backup-interval' hours
+///        while 'backup-enabled' is set; 'backup-keep-daily' daily and 'backup-keep-weekly' weekly backups are kept.
+///        Due backups are checked periodically rather than scheduled once, hence survive suspend and session restarts.
+///
+export const NoteBackupScheduler = GObject.registerClass({
+    GTypeName: 'StickyNotesNoteBackupScheduler',
+}, class NoteBackupScheduler extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Interval between checks for due backups, in seconds.
+    ///
+    /// @type       {Number}
+    ///
+    static get _CHECK_INTERVAL() { return 600; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {Extension}             extension       Extension instance.
+    /// @param      {StickyNotesInterface}  sticky_notes    StickyNotesInterface instance providing app interface.
+    ///
+    constructor(extension, sticky_notes) {
+        super();
+
+        this._settings = extension.getSettings();
+        this._sticky_notes = sticky_notes;
+        this._timeout_id = null;
+        this._running = false;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Starts checking for due backups.
+    ///
+    enable() {
+        this._on_enabled_id = this._settings.connect('changed::backup-enabled', this._check.bind(this));
+        this._timeout_id = GLib.timeout_add_seconds(GLib.PRIORITY_LOW, NoteBackupScheduler._CHECK_INTERVAL, () => {
+            this._check();
+            return GLib.SOURCE_CONTINUE;
+        });
+
+        this._check();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops checking for due backups.
+    ///
+    disable() {
+        safe_disconnect(this._settings, this._on_enabled_id);
+
+        if (this._timeout_id) {
+            GLib.source_remove(this._timeout_id);
+            this._timeout_id = null;
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Gets backup directory.
+    ///
+    /// @type       {String}
+    ///
+    get directory() {
+        return backup_dir(this._settings);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Takes a backup if enabled and last one is older than 'backup-interval'.
+    ///
+    _check() {
+        if (!this._settings.get_boolean('backup-enabled')) {
+            return;
+        }
+
+        list_backups(this.directory, ([latest]) => {
+            const interval = this._settings.get_int('backup-interval') * GLib.TIME_SPAN_HOUR;
+            if (latest && GLib.DateTime.new_now_local().difference(latest['time']) < interval) {
+                return;
+            }
+
+            this.backup();
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Takes a backup now and rotates old backups.
+    ///
+    /// @param      {Function}  [callback=null]   Called with archive path on success, null otherwise.
+    ///
+    /// @return     {Boolean}   True if backup was started, false if one is already running.
+    ///
+    backup(callback = null) {
+        if (this._running) {
+            return false;
+        }
+
+        this._running = true;
+        const done = (path) => {
+            this._running = false;
+            callback?.(path);
+        };
+        create_backup(this.directory, (path) => {
+            if (path) {
+                rotate_backups(this.directory, this._settings.get_int('backup-keep-daily'), this._settings.get_int('backup-keep-weekly'), () => done(path));
+            } else {
+                done(path);
+            }
+        });
+
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Restores notes from given backup *archive*, closing Sticky Notes first.
+    ///
+    /// @param      {String}    archive           Backup archive path.
+    /// @param      {Function}  [callback=null]   Called with true if notes were restored, false otherwise.
+    ///
+    /// @return     {Boolean}   True if restore was started, false otherwise.
+    ///
+    /// @note  Only archives listed in backup directory are accepted (as requests may come over D-Bus), *callback* being called with false otherwise.
+    ///
+    restore(archive, callback = null) {
+        if (this._running) {
+            return false;
+        }
+
+        list_backups(this.directory, (backups) => {
+            if (!backups.some((backup) => backup['path'] === archive) || !this._sticky_notes.restore(archive, callback)) {
+                callback?.(false);
+            }
+        });
+        return true;
+    }
+});
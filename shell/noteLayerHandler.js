@@ -0,0 +1,187 @@
+import GObject from 'gi://GObject';
+
+import { MultiWindowHandler } from './multiWindowHandler.js';
+import { AppInfo, WindowLayer } from '../lib/globals.js';
+import { connect_until, safe_disconnect } from '../lib/utils.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class that applies window layer policies to notes i.e. always on top, desktop level and/or on all workspaces.
+///
+/// @note  Global policy is set through 'note-layer' and 'note-all-workspaces' settings; per-note policies (by note identifier)
+///        override it and are stored as a JSON string in 'note-policies'. Policies are (re)applied whenever a note window opens,
+///        hence stay in effect across app restarts.
+///
+/// @note  Mutter has no public API to keep a window below others, hence 'Desktop Level' notes are lowered whenever focus changes.
+///        Settings are hence only read when changed (cf. _reload()), rather than on each focus change.
+///
+export const NoteLayerHandler = GObject.registerClass({
+    GTypeName: 'StickyNotesNoteLayerHandler',
+}, class NoteLayerHandler extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {Extension}             extension       Extension instance.
+    /// @param      {StickyNotesInterface}  sticky_notes    StickyNotesInterface instance providing app interface.
+    ///
+    constructor(extension, sticky_notes) {
+        super();
+
+        this._settings = extension.getSettings();
+        this._sticky_notes = sticky_notes;
+        this._settings_ids = [];
+        this._policies = { };    // note uuid -> policy overrides
+        this._defaults = { };    // global policy
+        this._lowering = false;  // whether any note is at desktop level
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Applies policies to open notes and starts tracking new notes and setting changes.
+    ///
+    enable() {
+        for (const key of ['note-layer', 'note-all-workspaces', 'note-policies']) {
+            this._settings_ids.push(this._settings.connect('changed::' + key, () => {
+                this._reload();
+                this.apply();
+            }));
+        }
+
+        // wm_class may not be set on creation, hence checked once window is shown
+        this._on_window_created_id = global.display.connect('window-created', (_, window) => {
+            connect_until(window, 'shown', (w) => {
+                if (w.get_wm_class() === AppInfo['wm-class'] && MultiWindowHandler.isNote(w)) {
+                    this._apply(w);
+                }
+                return true;
+            });
+        });
+        this._on_focus_window_id = global.display.connect('notify::focus-window', this._lower.bind(this));
+
+        this._reload();
+        this.apply();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops tracking notes, keeping current window state.
+    ///
+    disable() {
+        for (const id of this._settings_ids) {
+            safe_disconnect(this._settings, id);
+        }
+        this._settings_ids.length = 0;
+
+        safe_disconnect(global.display, this._on_window_created_id);
+        safe_disconnect(global.display, this._on_focus_window_id);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Reads global and per-note policies.
+    ///
+    _reload() {
+        try {
+            this._policies = JSON.parse(this._settings.get_string('note-policies')) ?? { };
+        } catch (error) {
+            this._policies = { };
+        }
+        this._defaults = {
+            'layer'          : this._settings.get_int('note-layer'),
+            'all-workspaces' : this._settings.get_boolean('note-all-workspaces'),
+        };
+
+        this._lowering = [this._defaults, ...Object.values(this._policies)].some((policy) => policy['layer'] === WindowLayer['Desktop Level']);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Gets effective policy for note with given *uuid*.
+    ///
+    /// @param      {String}  uuid    Note identifier, or null if unknown.
+    ///
+    /// @return     {Object}  Policy, with 'layer' (cf. WindowLayer) and 'all-workspaces'.
+    ///
+    _policy(uuid) {
+        const policy = (uuid && this._policies[uuid]) || { };
+
+        return {
+            'layer'          : policy['layer'] ?? this._defaults['layer'],
+            'all-workspaces' : policy['all-workspaces'] ?? this._defaults['all-workspaces'],
+        };
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Gets effective policy for given note.
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    /// @return     {Object}  Policy, with 'layer' (cf. WindowLayer) and 'all-workspaces', or null if note window is not open.
+    ///
+    getNotePolicy(uuid) {
+        return this._sticky_notes.getNoteWindow(uuid) ? this._policy(uuid) : null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Overrides global policy for given note.
+    ///
+    /// @param      {String}  uuid      Note identifier.
+    /// @param      {Object}  policy    Policy fields to override ('layer' and/or 'all-workspaces').
+    ///
+    /// @return     {Boolean}  True if note window was found, false otherwise.
+    ///
+    setNotePolicy(uuid, policy) {
+        if (!this._sticky_notes.getNoteWindow(uuid)) {
+            return false;
+        }
+
+        const policies = { ...this._policies };
+        policies[uuid] = Object.assign({ ...policies[uuid] }, policy);
+        this._settings.set_string('note-policies', JSON.stringify(policies));  // applied on 'changed::note-policies'
+
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Applies policies to all open notes.
+    ///
+    apply() {
+        for (const window of this._sticky_notes.note_windows) {
+            this._apply(window);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Applies policy to given *window*.
+    ///
+    _apply(window) {
+        const policy = this._policy(this._sticky_notes.getWindowNote(window));
+
+        if (policy['layer'] === WindowLayer['Always on Top'] && !window.is_above()) {
+            window.make_above();
+        } else if (policy['layer'] !== WindowLayer['Always on Top'] && window.is_above()) {
+            window.unmake_above();
+        }
+
+        if (policy['all-workspaces'] && !window.is_on_all_workspaces()) {
+            window.stick();
+        } else if (!policy['all-workspaces'] && window.is_on_all_workspaces()) {
+            window.unstick();
+        }
+
+        if (policy['layer'] === WindowLayer['Desktop Level']) {
+            window.lower();
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Lowers 'Desktop Level' notes, except the focused one (i.e. notes can still be edited).
+    ///
+    _lower() {
+        if (!this._lowering) {
+            return;
+        }
+
+        const focused = global.display.get_focus_window();
+        for (const window of this._sticky_notes.note_windows) {
+            if (window !== focused && this._policy(this._sticky_notes.getWindowNote(window))['layer'] === WindowLayer['Desktop Level']) {
+                window.lower();
+            }
+        }
+    }
+});
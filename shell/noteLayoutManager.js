@@ -0,0 +1,252 @@
+import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import { MultiWindowHandler } from './multiWindowHandler.js';
+import { AppInfo } from '../lib/globals.js';
+import { safe_disconnect } from '../lib/utils.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class that saves and restores note layouts (window position, size and monitor).
+///
+/// @note  Layouts are saved automatically per monitor configuration (shortly after a note is moved/resized or notes are opened/closed),
+///        and restored when that configuration comes back (e.g. docking/undocking).
+///        Named layouts can also be saved and restored manually.
+///        Both are stored as JSON strings in extension settings ('monitor-layouts' and 'named-layouts').
+///
+export const NoteLayoutManager = GObject.registerClass({
+    GTypeName: 'StickyNotesNoteLayoutManager',
+    Signals: {
+        'layouts-changed': { },
+    },
+}, class NoteLayoutManager extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Delay before restoring a layout after monitors change, in milliseconds.
+    ///
+    /// @type       {Number}
+    ///
+    /// @note  Gives Mutter time to relocate windows to new monitors, which would otherwise override restored positions.
+    ///
+    static get _RESTORE_DELAY() { return 1000; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Delay before saving the layout after notes moved or opened/closed, in milliseconds.
+    ///
+    /// @type       {Number}
+    ///
+    /// @note  Batches settings writes e.g. when Sticky Notes opens or closes all its notes at once.
+    ///
+    static get _SAVE_DELAY() { return 1000; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {Extension}             extension       Extension instance.
+    /// @param      {StickyNotesInterface}  sticky_notes    StickyNotesInterface instance providing app interface.
+    ///
+    constructor(extension, sticky_notes) {
+        super();
+
+        this._settings = extension.getSettings();
+        this._sticky_notes = sticky_notes;
+        this._monitor_config = null;
+        this._restore_source_id = null;
+        this._save_source_id = null;
+        this._sticky_notes_ids = [];
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Key identifying current monitor configuration (from monitor geometries).
+    ///
+    /// @type       {String}
+    ///
+    static get monitor_config() {
+        return Main.layoutManager.monitors.map((m) => `${m.x},${m.y},${m.width}x${m.height}`).join(';');
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Starts tracking note layouts and monitor configuration changes.
+    ///
+    enable() {
+        this._monitor_config = NoteLayoutManager.monitor_config;
+
+        this._on_monitors_changed_id = Main.layoutManager.connect('monitors-changed', this._onMonitorsChanged.bind(this));
+        // any geometry change i.e. by user (pointer or keyboard), arrangements, spread, rescue, etc
+        this._sticky_notes_ids = ['note-moved', 'note-resized', 'notify::n-windows'].map((signal) =>
+            this._sticky_notes.connect(signal, this._scheduleSave.bind(this)));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops tracking note layouts.
+    ///
+    disable() {
+        safe_disconnect(Main.layoutManager, this._on_monitors_changed_id);
+        for (const id of this._sticky_notes_ids) {
+            safe_disconnect(this._sticky_notes, id);
+        }
+        this._sticky_notes_ids.length = 0;
+
+        if (this._restore_source_id) {
+            GLib.source_remove(this._restore_source_id);
+            this._restore_source_id = null;
+        }
+        if (this._save_source_id) {
+            GLib.source_remove(this._save_source_id);
+            this._save_source_id = null;
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Reads a JSON dictionary from given settings *key*.
+    ///
+    _load(key) {
+        try {
+            return JSON.parse(this._settings.get_string(key)) ?? { };
+        } catch (error) {
+            console.debug(this.constructor.name + `: invalid '${key}' (${error.message})`);
+            return { };
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Writes a JSON dictionary to given settings *key*.
+    ///
+    _store(key, layouts) {
+        this._settings.set_string(key, JSON.stringify(layouts));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Schedules a save of current note layout (cf. save()), postponing any pending one.
+    ///
+    _scheduleSave() {
+        if (this._save_source_id) {
+            GLib.source_remove(this._save_source_id);
+        }
+        this._save_source_id = GLib.timeout_add(GLib.PRIORITY_DEFAULT, NoteLayoutManager._SAVE_DELAY, () => {
+            this._save_source_id = null;
+            // skip while a restore is pending, as Mutter may have temporarily relocated notes
+            if (!this._restore_source_id) {
+                this.save();
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Saves current note layout for current monitor configuration.
+    ///
+    /// @note  Empty layouts (no open notes) are not saved, to avoid clearing layouts when Sticky Notes is closed.
+    ///
+    save() {
+        const snapshot = MultiWindowHandler.snapshot(AppInfo['wm-class']);
+        if (!snapshot.length) {
+            return;
+        }
+
+        const layouts = this._load('monitor-layouts');
+        layouts[this._monitor_config] = snapshot;
+        this._store('monitor-layouts', layouts);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Restores saved note layout for current monitor configuration, if any.
+    ///
+    /// @return     {Boolean}  True if a layout was restored, false otherwise.
+    ///
+    restore() {
+        const snapshot = this._load('monitor-layouts')[this._monitor_config];
+        if (!snapshot) {
+            return false;
+        }
+
+        const wcount = MultiWindowHandler.restore(AppInfo['wm-class'], snapshot);
+        console.debug(this.constructor.name + `: restored ${wcount} notes [${this._monitor_config}]`);
+        return Boolean(wcount);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Callback for 'monitors-changed' signal, schedules a restore of the layout saved for the new configuration.
+    ///
+    _onMonitorsChanged() {
+        const config = NoteLayoutManager.monitor_config;
+        if (config === this._monitor_config) {
+            return;
+        }
+        this._monitor_config = config;
+
+        // pending save was scheduled for previous configuration
+        if (this._save_source_id) {
+            GLib.source_remove(this._save_source_id);
+            this._save_source_id = null;
+        }
+        if (this._restore_source_id) {
+            GLib.source_remove(this._restore_source_id);
+        }
+        this._restore_source_id = GLib.timeout_add(GLib.PRIORITY_DEFAULT, NoteLayoutManager._RESTORE_DELAY, () => {
+            this._restore_source_id = null;
+            if (this._settings.get_boolean('restore-monitor-layouts')) {
+                this.restore();
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Names of saved layouts.
+    ///
+    /// @type       {Array}
+    ///
+    get names() {
+        return Object.keys(this._load('named-layouts')).sort();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Saves current note layout with given *name*, replacing existing layout with the same name.
+    ///
+    /// @param      {String}  name    Layout name.
+    ///
+    /// @return     {Boolean}  True if saved, false otherwise (invalid name or no open notes).
+    ///
+    saveNamed(name) {
+        const snapshot = MultiWindowHandler.snapshot(AppInfo['wm-class']);
+        if (!name?.trim() || !snapshot.length) {
+            return false;
+        }
+
+        const layouts = this._load('named-layouts');
+        layouts[name.trim()] = snapshot;
+        this._store('named-layouts', layouts);
+        this.emit('layouts-changed');
+
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Restores note layout saved with given *name*.
+    ///
+    /// @param      {String}  name    Layout name.
+    ///
+    /// @return     {Boolean}  True if a layout was restored, false otherwise.
+    ///
+    restoreNamed(name) {
+        const snapshot = this._load('named-layouts')[name];
+        if (!snapshot) {
+            return false;
+        }
+
+        return Boolean(MultiWindowHandler.restore(AppInfo['wm-class'], snapshot));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Deletes note layout saved with given *name*.
+    ///
+    /// @param      {String}  name    Layout name.
+    ///
+    deleteNamed(name) {
+        const layouts = this._load('named-layouts');
+        delete layouts[name];
+        this._store('named-layouts', layouts);
+        this.emit('layouts-changed');
+    }
+});
@@ -0,0 +1,212 @@
+import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { markdown_dir, markdown_file_name, write_markdown } from '../lib/markdown.js';
+import { safe_disconnect } from '../lib/utils.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class that exports notes as Markdown files (one per note, named by title), once or continuously.
+///
+/// @note  While 'markdown-mirror' is set, 'markdown-path' is kept in sync with the note store i.e. files are rewritten when notes change,
+///        renamed along with note titles and deleted along with notes. Exported files are stored (by note UUID) as a JSON string
+///        in 'markdown-files', hence notes deleted while the extension was disabled are also handled; other files are never touched
+///        i.e. names of existing files not exported by the mirror (e.g. a 'README.md' in a pre-existing folder) are disambiguated.
+///
+export const NoteMirror = GObject.registerClass({
+    GTypeName: 'StickyNotesNoteMirror',
+}, class NoteMirror extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {Extension}  extension   Extension instance.
+    /// @param      {NoteStore}  note_store  Note store instance.
+    ///
+    constructor(extension, note_store) {
+        super();
+
+        this._settings = extension.getSettings();
+        this._note_store = note_store;
+        this._settings_ids = [];
+        this._store_ids = [];
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Starts mirroring notes if enabled, and tracks setting changes.
+    ///
+    enable() {
+        this._settings_ids.push(this._settings.connect('changed::markdown-mirror', this._update.bind(this)));
+        this._settings_ids.push(this._settings.connect('changed::markdown-path', () => {
+            // files in previous directory are left as is
+            this._settings.set_string('markdown-files', '{}');
+            this._stop();
+            this._update();
+        }));
+
+        this._update();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops mirroring notes, keeping exported files.
+    ///
+    disable() {
+        for (const id of this._settings_ids) {
+            safe_disconnect(this._settings, id);
+        }
+        this._settings_ids.length = 0;
+
+        this._stop();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Export directory.
+    ///
+    /// @type       {String}
+    ///
+    get directory() {
+        return markdown_dir(this._settings);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Starts/stops mirroring according to 'markdown-mirror' setting.
+    ///
+    _update() {
+        if (this._settings.get_boolean('markdown-mirror')) {
+            this._start();
+        } else {
+            this._stop();
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Connects to note store signals, removes files of deleted notes and exports all notes.
+    ///
+    _start() {
+        if (this._store_ids.length) {
+            return;
+        }
+
+        this._store_ids = [
+            this._note_store.connect('note-added', (_, uuid) => this.exportNote(uuid)),
+            this._note_store.connect('note-changed', (_, uuid) => this.exportNote(uuid)),
+            this._note_store.connect('note-removed', (_, uuid) => this._remove(uuid)),
+        ];
+
+        for (const [uuid, entry] of Object.entries(this._load())) {
+            if (!Gio.File.new_for_path(entry['note']).query_exists(null)) {
+                this._remove(uuid);
+            }
+        }
+        this.exportAll();
+
+        console.debug(this.constructor.name + `: mirroring notes to '${this.directory}'`);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Disconnects from note store signals.
+    ///
+    _stop() {
+        for (const id of this._store_ids) {
+            safe_disconnect(this._note_store, id);
+        }
+        this._store_ids.length = 0;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Reads exported files.
+    ///
+    /// @return     {Object}  Exported files, as objects with 'file' (name) and 'note' (note file path), by note UUID.
+    ///
+    _load() {
+        try {
+            return JSON.parse(this._settings.get_string('markdown-files')) ?? { };
+        } catch (error) {
+            return { };
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Saves exported files.
+    ///
+    _save(files) {
+        this._settings.set_string('markdown-files', JSON.stringify(files));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Deletes exported file of note with given *uuid*.
+    ///
+    _remove(uuid) {
+        const files = this._load();
+        if (!files[uuid]) {
+            return;
+        }
+
+        try {
+            Gio.File.new_for_path(GLib.build_filenamev([this.directory, files[uuid]['file']])).delete(null);
+        } catch (error) {
+            console.debug(this.constructor.name + `: unable to delete '${files[uuid]['file']}' (${error.message})`);
+        }
+        delete files[uuid];
+        this._save(files);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Exports given note to export directory.
+    ///
+    /// @param      {String}    uuid              Note identifier.
+    /// @param      {Function}  [callback=null]   Called with true on success, false otherwise.
+    ///
+    /// @return     {Boolean}   True if note was found, false otherwise.
+    ///
+    /// @note  Previously exported file is removed if note title (hence file name) changed. Exported files are only saved if changed.
+    ///
+    exportNote(uuid, callback = null) {
+        const note = this._note_store.get(uuid);
+        if (!note) {
+            return false;
+        }
+
+        const files = this._load();
+        const taken = new Set(Object.entries(files).filter(([id]) => id !== uuid).map(([, entry]) => entry['file']));
+        let name = markdown_file_name(note, taken);
+        if (name !== files[uuid]?.['file'] && Gio.File.new_for_path(GLib.build_filenamev([this.directory, name])).query_exists(null)) {
+            taken.add(name);  // not exported by mirror, left untouched
+            name = markdown_file_name(note, taken);
+        }
+
+        if (files[uuid]?.['file'] !== name || files[uuid]?.['note'] !== note['path']) {
+            if (files[uuid] && files[uuid]['file'] !== name) {
+                this._remove(uuid);
+                delete files[uuid];
+            }
+            files[uuid] = { 'file': name, 'note': note['path'] };
+            this._save(files);
+        }
+
+        write_markdown(note, this.directory, name, callback);
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Exports all notes to export directory.
+    ///
+    /// @param      {Function}  [callback=null]   Called with number of exported notes once done.
+    ///
+    exportAll(callback = null) {
+        const notes = this._note_store.list();
+
+        let pending = notes.length;
+        let exported = 0;
+        if (!pending) {
+            callback?.(0);
+        }
+        for (const note of notes) {
+            this.exportNote(note['uuid'], (success) => {
+                exported += Number(success);
+                if (--pending === 0) {
+                    callback?.(exported);
+                }
+            });
+        }
+    }
+});
@@ -0,0 +1,283 @@
+import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+
+import { AppInfo } from '../lib/globals.js';
+import { parse_reminders } from '../lib/reminders.js';
+import { safe_disconnect } from '../lib/utils.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class that scans notes for reminder markers (e.g. 'call vendor @ 15:00') and shows notifications when they are due.
+///
+/// @note  Marker syntax is set through 'reminder-syntax' (cf. ReminderSyntax, parse_reminders()); markers without date refer to
+///        the first occurrence of that time after the marker was first seen (i.e. not moved by later edits of the note). Reminder
+///        state (shown/dismissed or snoozed until) and first-seen times are stored as a JSON string in 'reminder-state', hence
+///        reminders are not shown twice across sessions.
+///
+/// @note  Reminders overdue by more than a day (e.g. while logged out) are skipped, rather than flooding the message tray.
+///
+export const NoteReminders = GObject.registerClass({
+    GTypeName: 'StickyNotesNoteReminders',
+}, class NoteReminders extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Interval between checks for due reminders, in seconds.
+    ///
+    /// @type       {Number}
+    ///
+    static get _CHECK_INTERVAL() { return 30; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Maximum delay of a reminder still worth showing, in milliseconds.
+    ///
+    /// @type       {Number}
+    ///
+    static get _MAX_DELAY() { return 24 * 60 * 60 * 1000; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {Extension}             extension       Extension instance.
+    /// @param      {StickyNotesInterface}  sticky_notes    StickyNotesInterface instance providing app interface.
+    /// @param      {NoteStore}             note_store      Note store instance.
+    ///
+    constructor(extension, sticky_notes, note_store) {
+        super();
+
+        this._settings = extension.getSettings();
+        this._sticky_notes = sticky_notes;
+        this._note_store = note_store;
+        this._reminders = new Map();  // uuid -> [reminder]
+        this._store_ids = [];
+        this._on_syntax_id = null;
+        this._timeout_id = null;
+        this._source = null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Scans notes and starts checking for due reminders.
+    ///
+    enable() {
+        this._store_ids = [
+            this._note_store.connect('note-added', (_, uuid) => this._scan(uuid)),
+            this._note_store.connect('note-changed', (_, uuid) => this._scan(uuid)),
+            this._note_store.connect('note-removed', (_, uuid) => this._forget(uuid)),
+        ];
+        this._on_syntax_id = this._settings.connect('changed::reminder-syntax', this._scanAll.bind(this));
+
+        this._timeout_id = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, NoteReminders._CHECK_INTERVAL, () => {
+            this._check();
+            return GLib.SOURCE_CONTINUE;
+        });
+
+        this._scanAll();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops checking for due reminders and removes shown notifications.
+    ///
+    disable() {
+        for (const id of this._store_ids) {
+            safe_disconnect(this._note_store, id);
+        }
+        this._store_ids.length = 0;
+        safe_disconnect(this._settings, this._on_syntax_id);
+
+        if (this._timeout_id) {
+            GLib.source_remove(this._timeout_id);
+            this._timeout_id = null;
+        }
+
+        this._source?.destroy();
+        this._source = null;
+        this._reminders.clear();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Reads reminder state.
+    ///
+    /// @return     {Object}  Reminder state, by reminder key: 0 if shown/dismissed, time (ms since epoch) if snoozed; and first-seen
+    ///                       time (ms since epoch) of markers without date, by marker key (cf. _scan()).
+    ///
+    _load() {
+        try {
+            return JSON.parse(this._settings.get_string('reminder-state')) ?? { };
+        } catch (error) {
+            return { };
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Saves reminder state.
+    ///
+    _save(state) {
+        this._settings.set_string('reminder-state', JSON.stringify(state));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Scans given note for reminders, forgetting state of reminders no longer in note.
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    /// @note  Markers without date are anchored to the modification time of the note they were first seen in, recorded under
+    ///        '<uuid>:@<time>:<text>' until removed from note.
+    ///
+    _scan(uuid) {
+        const note = this._note_store.get(uuid);
+        if (!note) {
+            return;
+        }
+
+        const state = this._load();
+        const keys = new Set();
+        let changed = false;
+
+        const reference = (time, text) => {
+            const key = `${uuid}:@${time}:${text}`;
+            if (!(key in state)) {
+                state[key] = note['modified'] ?? note['created'] ?? Date.now();
+                changed = true;
+            }
+            keys.add(key);
+            return state[key];
+        };
+        const reminders = parse_reminders(note['content'], this._settings.get_int('reminder-syntax'), reference).map((reminder) => ({
+            ...reminder,
+            'key': `${uuid}:${reminder['time']}:${reminder['text']}`,
+        }));
+        this._reminders.set(uuid, reminders);
+
+        for (const reminder of reminders) {
+            keys.add(reminder['key']);
+        }
+        for (const key of Object.keys(state)) {
+            if (key.startsWith(uuid + ':') && !keys.has(key)) {
+                delete state[key];
+                changed = true;
+            }
+        }
+        if (changed) {
+            this._save(state);
+        }
+
+        this._check();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Scans all notes for reminders.
+    ///
+    _scanAll() {
+        this._reminders.clear();
+        for (const note of this._note_store.list()) {
+            this._scan(note['uuid']);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Forgets reminders (and their state) of given (deleted) note.
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    _forget(uuid) {
+        this._reminders.delete(uuid);
+
+        const state = this._load();
+        const keys = Object.keys(state).filter((key) => key.startsWith(uuid + ':'));
+        for (const key of keys) {
+            delete state[key];
+        }
+        if (keys.length) {
+            this._save(state);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Shows notifications for due reminders.
+    ///
+    _check() {
+        const now = Date.now();
+        const state = this._load();
+        let changed = false;
+
+        for (const [uuid, reminders] of this._reminders) {
+            for (const reminder of reminders) {
+                const key = reminder['key'];
+                if (state[key] === 0 || (state[key] ?? reminder['time']) > now) {
+                    continue;
+                }
+                if (state[key] !== undefined || now - reminder['time'] < NoteReminders._MAX_DELAY) {
+                    this._notify(uuid, reminder);
+                }
+                state[key] = 0;
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this._save(state);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Gets (lazily created) notification source.
+    ///
+    /// @return     {MessageTray.Source}
+    ///
+    _getSource() {
+        if (!this._source) {
+            this._source = new MessageTray.Source({ title: 'Sticky Notes', iconName: AppInfo['icon-name'] });
+            this._source.connect('destroy', () => {
+                this._source = null;
+            });
+            Main.messageTray.add(this._source);
+        }
+
+        return this._source;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Shows a notification for given *reminder*; activating it brings note to front.
+    ///
+    /// @param      {String}  uuid        Note identifier.
+    /// @param      {Object}  reminder    Reminder (cf. parse_reminders()), with 'key'.
+    ///
+    _notify(uuid, reminder) {
+        const note = this._note_store.get(uuid);
+        const source = this._getSource();
+        const notification = new MessageTray.Notification({
+            source: source,
+            title: note?.['title'] || 'Reminder',
+            body: reminder['text'],
+            urgency: MessageTray.Urgency.HIGH,
+        });
+        notification.connect('activated', () => this._sticky_notes.openNote(uuid));
+        notification.addAction('Snooze', () => this.snooze(reminder['key']));
+        notification.addAction('Dismiss', () => this.dismiss(reminder['key']));
+        source.addNotification(notification);
+
+        console.debug(this.constructor.name + `: reminder for note ${uuid} (${reminder['text']})`);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Snoozes reminder with given *key* for 'reminder-snooze' minutes.
+    ///
+    /// @param      {String}  key     Reminder key.
+    ///
+    snooze(key) {
+        const state = this._load();
+        state[key] = Date.now() + this._settings.get_int('reminder-snooze') * 60 * 1000;
+        this._save(state);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Dismisses reminder with given *key* i.e. it will not be shown again, even if snoozed.
+    ///
+    /// @param      {String}  key     Reminder key.
+    ///
+    dismiss(key) {
+        const state = this._load();
+        state[key] = 0;
+        this._save(state);
+    }
+});
@@ -0,0 +1,233 @@
+import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
+import Meta from 'gi://Meta';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import { MultiWindowHandler } from './multiWindowHandler.js';
+import { AppInfo, RescuePolicy } from '../lib/globals.js';
+import { safe_disconnect } from '../lib/utils.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class that pulls notes left (partly) outside the work area back inside, when monitors or work areas change.
+///
+/// @note  Mutter relocates windows of disconnected monitors without regard to notes, which may end up half off-screen or under the panel.
+///        Notes mostly outside the work areas of all monitors (cf. _MIN_VISIBLE) are moved to the monitor given by 'rescue-policy' (cf.
+///        RescuePolicy), keeping their offset within the work area where possible, and shrunk if larger than that work area. Notes
+///        straddling monitors, or slightly overlapping a panel or dock, are hence left in place.
+///
+/// @note  Last monitors are tracked by geometry (as monitor indices change along with configuration) and by note identifier, while
+///        notes are open, and only updated when notes are moved by the user, hence not by Mutter relocating them.
+///
+export const NoteRescuer = GObject.registerClass({
+    GTypeName: 'StickyNotesNoteRescuer',
+}, class NoteRescuer extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Delay before rescuing notes after monitors or work areas change, in milliseconds.
+    ///
+    /// @type       {Number}
+    ///
+    /// @note  Longer than layout restore delay (cf. NoteLayoutManager), so that only notes left outside by a restored layout are moved.
+    ///
+    static get _RESCUE_DELAY() { return 1500; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Minimum fraction of a note inside the work area of a single monitor for the note not to be rescued.
+    ///
+    /// @type       {Number}
+    ///
+    static get _MIN_VISIBLE() { return 0.5; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {Extension}             extension       Extension instance.
+    /// @param      {StickyNotesInterface}  sticky_notes    StickyNotesInterface instance providing app interface.
+    ///
+    constructor(extension, sticky_notes) {
+        super();
+
+        this._settings = extension.getSettings();
+        this._sticky_notes = sticky_notes;
+        this._last_monitors = new Map();  // note uuid -> monitor geometry key
+        this._rescue_source_id = null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Starts tracking note monitors, and monitor/work area changes.
+    ///
+    enable() {
+        this._on_monitors_changed_id = Main.layoutManager.connect('monitors-changed', this._schedule.bind(this));
+        this._on_workareas_changed_id = global.display.connect('workareas-changed', this._schedule.bind(this));
+        this._on_grab_op_end_id = global.display.connect('grab-op-end', (_, window, op) => {
+            if (window?.get_wm_class() === AppInfo['wm-class'] && MultiWindowHandler.isNote(window) && op !== Meta.GrabOp.NONE) {
+                this._remember(window, true);
+            }
+        });
+        this._on_n_windows_id = this._sticky_notes.connect('notify::n-windows', this._rememberAll.bind(this));
+        this._on_note_closed_id = this._sticky_notes.connect('note-closed', this._prune.bind(this));
+        this._on_policy_id = this._settings.connect('changed::rescue-policy', this._schedule.bind(this));
+
+        this._rememberAll();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops tracking note monitors.
+    ///
+    disable() {
+        safe_disconnect(Main.layoutManager, this._on_monitors_changed_id);
+        safe_disconnect(global.display, this._on_workareas_changed_id);
+        safe_disconnect(global.display, this._on_grab_op_end_id);
+        safe_disconnect(this._sticky_notes, this._on_n_windows_id);
+        safe_disconnect(this._sticky_notes, this._on_note_closed_id);
+        safe_disconnect(this._settings, this._on_policy_id);
+
+        if (this._rescue_source_id) {
+            GLib.source_remove(this._rescue_source_id);
+            this._rescue_source_id = null;
+        }
+
+        this._last_monitors.clear();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Key identifying given monitor (from its geometry, cf. NoteLayoutManager.monitor_config).
+    ///
+    /// @param      {Number}  monitor     Monitor index.
+    ///
+    /// @return     {String}  Monitor key, or null if monitor is not available.
+    ///
+    _monitorKey(monitor) {
+        const m = Main.layoutManager.monitors[monitor];
+        return m ? `${m.x},${m.y},${m.width}x${m.height}` : null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Records the monitor given *window* is on.
+    ///
+    /// @param      {Meta.Window}  window            Note window.
+    /// @param      {Boolean}      [force=false]     Whether to override a previously recorded monitor.
+    ///
+    _remember(window, force = false) {
+        const uuid = this._sticky_notes.getWindowNote(window);
+        if (uuid && (force || !this._last_monitors.has(uuid))) {
+            this._last_monitors.set(uuid, this._monitorKey(window.get_monitor()));
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Forgets monitors of notes no longer open.
+    ///
+    /// @param      {StickyNotesInterface}  _         Emitting instance.
+    /// @param      {Meta.Window}           closed    Closed note window.
+    ///
+    _prune(_, closed) {
+        const open = new Set(this._sticky_notes.note_windows.filter((window) => window !== closed)
+            .map((window) => this._sticky_notes.getWindowNote(window)));
+        for (const uuid of [...this._last_monitors.keys()]) {
+            if (!open.has(uuid)) {
+                this._last_monitors.delete(uuid);
+            }
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Records the monitor of notes not seen yet, unless a rescue is pending (Mutter may have relocated notes).
+    ///
+    _rememberAll() {
+        if (this._rescue_source_id) {
+            return;
+        }
+
+        for (const window of this._sticky_notes.note_windows) {
+            this._remember(window);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Schedules a rescue of off-screen notes, postponing any pending one.
+    ///
+    _schedule() {
+        if (this._rescue_source_id) {
+            GLib.source_remove(this._rescue_source_id);
+        }
+        this._rescue_source_id = GLib.timeout_add(GLib.PRIORITY_DEFAULT, NoteRescuer._RESCUE_DELAY, () => {
+            this._rescue_source_id = null;
+            this.rescue();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Moves notes outside the visible work area back inside, according to 'rescue-policy'.
+    ///
+    /// @return     {Number}  Number of moved notes.
+    ///
+    rescue() {
+        const policy = this._settings.get_int('rescue-policy');
+        if (policy === RescuePolicy['Disabled']) {
+            return 0;
+        }
+
+        let wcount = 0;
+        for (const window of this._sticky_notes.note_windows) {
+            wcount += Number(this._rescueWindow(window, policy));
+        }
+        if (wcount) {
+            console.debug(this.constructor.name + `: rescued ${wcount} notes`);
+        }
+
+        return wcount;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Moves given *window* inside the work area of the monitor given by *policy*, unless mostly inside a work area (cf. _MIN_VISIBLE).
+    ///
+    /// @param      {Meta.Window}  window    Note window.
+    /// @param      {Number}       policy    Rescue policy (cf. RescuePolicy).
+    ///
+    /// @return     {Boolean}  True if window was moved, false otherwise.
+    ///
+    _rescueWindow(window, policy) {
+        const workspace = window.get_workspace() ?? global.workspace_manager.get_active_workspace();
+        const frame = window.get_frame_rect();
+        const n_monitors = global.display.get_n_monitors();
+
+        for (let i = 0; i < n_monitors; i++) {
+            const area = workspace.get_work_area_for_monitor(i);
+            const width = Math.min(frame.x + frame.width, area.x + area.width) - Math.max(frame.x, area.x);
+            const height = Math.min(frame.y + frame.height, area.y + area.height) - Math.max(frame.y, area.y);
+            if (width > 0 && height > 0 && width * height >= NoteRescuer._MIN_VISIBLE * frame.width * frame.height) {
+                return false;
+            }
+        }
+
+        const current = window.get_monitor();
+        let target = current;
+        switch (policy) {
+            case RescuePolicy['Primary Monitor']:
+                target = global.display.get_primary_monitor();
+                break;
+            case RescuePolicy['Last Monitor']: {
+                const key = this._last_monitors.get(this._sticky_notes.getWindowNote(window));
+                const last = Main.layoutManager.monitors.findIndex((_, i) => this._monitorKey(i) === key);
+                target = last >= 0 ? last : current;
+                break;
+            }
+        }
+
+        // keep offset within work area, then clamp (shrinking note if needed)
+        const from = workspace.get_work_area_for_monitor(current);
+        const area = workspace.get_work_area_for_monitor(target);
+        const width = Math.min(frame.width, area.width);
+        const height = Math.min(frame.height, area.height);
+        const x = Math.max(area.x, Math.min(area.x + frame.x - from.x, area.x + area.width - width));
+        const y = Math.max(area.y, Math.min(area.y + frame.y - from.y, area.y + area.height - height));
+
+        const resize = width !== frame.width || height !== frame.height;
+        MultiWindowHandler.place(window, x, y, resize ? width : null, resize ? height : null);
+
+        console.debug(this.constructor.name + `: moved note '${window.get_title()}' to monitor ${target} [${x},${y}]`);
+        return true;
+    }
+});
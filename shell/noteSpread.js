@@ -0,0 +1,161 @@
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import Clutter from 'gi://Clutter';
+import Shell from 'gi://Shell';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import { MultiWindowHandler } from './multiWindowHandler.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class implementing an overview-like spread of note windows.
+///
+/// @note  Window clones are laid out in a non-overlapping grid over the work area of the current monitor.
+///        Clicking a clone brings the note to front; Escape or clicking the background closes the spread.
+///
+export const NoteSpread = GObject.registerClass({
+    GTypeName: 'StickyNotesNoteSpread',
+    Signals: {
+        'closed': { },
+    },
+}, class NoteSpread extends St.Widget {
+    //--------------------------------------------------------------------------
+    /// @brief Spacing between (and around) window clones, in pixels.
+    ///
+    /// @type       {Number}
+    ///
+    static get _SPACING() { return 24; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Animation duration, in milliseconds.
+    ///
+    /// @type       {Number}
+    ///
+    static get _ANIMATION_TIME() { return 200; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Initializes (empty) spread overlay.
+    ///
+    _init() {
+        super._init({
+            reactive: true,
+            can_focus: true,
+            style: 'background-color: rgba(0, 0, 0, 0.6);',
+        });
+
+        this._grab = null;
+        this._clones = [];
+
+        this.connect('key-press-event', (_, event) => {
+            if (event.get_key_symbol() === Clutter.KEY_Escape) {
+                this.close();
+                return Clutter.EVENT_STOP;
+            }
+            return Clutter.EVENT_PROPAGATE;
+        });
+        this.connect('button-release-event', () => {
+            this.close();
+            return Clutter.EVENT_STOP;
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Whether spread is currently open.
+    ///
+    /// @type       {Boolean}
+    ///
+    get is_open() {
+        return Boolean(this._grab);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Opens spread with given *windows*.
+    ///
+    /// @param      {Array}   windows   Windows to spread (as Meta.Window).
+    ///
+    /// @return     {Boolean}  True if spread was opened, False otherwise (e.g. no windows or already open).
+    ///
+    open(windows) {
+        if (this.is_open || !windows.length) {
+            return false;
+        }
+
+        const monitor = global.display.get_current_monitor();
+        const area = Main.layoutManager.getWorkAreaForMonitor(monitor);
+
+        Main.layoutManager.uiGroup.add_child(this);
+        this.set_position(0, 0);
+        this.set_size(global.stage.width, global.stage.height);
+
+        this._grab = Main.pushModal(this, { actionMode: Shell.ActionMode.POPUP });
+        this.grab_key_focus();
+
+        // grid layout: as close to square as possible, cells sized to fit work area
+        const spacing = NoteSpread._SPACING;
+        const columns = Math.ceil(Math.sqrt(windows.length));
+        const rows = Math.ceil(windows.length / columns);
+        const cell_width = (area.width - spacing * (columns + 1)) / columns;
+        const cell_height = (area.height - spacing * (rows + 1)) / rows;
+
+        windows.forEach((window, i) => {
+            const actor = window.get_compositor_private();
+            if (!actor) {
+                return;
+            }
+            const frame = window.get_frame_rect();
+            const buffer = window.get_buffer_rect();
+            const scale = Math.min(cell_width / frame.width, cell_height / frame.height, 1);
+
+            const column = i % columns;
+            const row = Math.floor(i / columns);
+            const x = area.x + spacing + column * (cell_width + spacing) + (cell_width - frame.width * scale) / 2;
+            const y = area.y + spacing + row * (cell_height + spacing) + (cell_height - frame.height * scale) / 2;
+
+            // clone whole window actor, offset by frame position in buffer (i.e. ignore client-side shadows)
+            const clone = new St.Button({
+                child: new Clutter.Clone({ source: actor }),
+                reactive: true,
+                can_focus: true,
+                x: buffer.x,
+                y: buffer.y,
+            });
+            clone.connect('clicked', () => {
+                this.close();
+                MultiWindowHandler.focus(window);
+            });
+            this.add_child(clone);
+            this._clones.push(clone);
+
+            clone.ease({
+                x: x - (frame.x - buffer.x) * scale,
+                y: y - (frame.y - buffer.y) * scale,
+                scale_x: scale,
+                scale_y: scale,
+                duration: NoteSpread._ANIMATION_TIME,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+            });
+        });
+
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Closes spread, releasing modal grab and destroying window clones.
+    ///
+    close() {
+        if (!this.is_open) {
+            return;
+        }
+
+        Main.popModal(this._grab);
+        this._grab = null;
+
+        for (const clone of this._clones) {
+            clone.destroy();
+        }
+        this._clones.length = 0;
+
+        Main.layoutManager.uiGroup.remove_child(this);
+        this.emit('closed');
+    }
+});
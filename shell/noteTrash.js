@@ -0,0 +1,326 @@
+import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { safe_disconnect } from '../lib/utils.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class that keeps a recoverable history of notes that were closed or deleted.
+///
+/// @note  Notes are tracked through the note store: a note whose file disappears is 'deleted', a note whose 'open' flag is cleared is 'closed'.
+///        Entries are JSON files (one per note) in the extension data directory, holding note file contents as last seen (i.e. as written
+///        by Sticky Notes, formatting included), and are purged after 'trash-retention' days. Closed notes are forgotten once reopened.
+///        All file operations are asynchronous, as they happen on note changes and when the indicator menu opens.
+///
+export const NoteTrash = GObject.registerClass({
+    GTypeName: 'StickyNotesNoteTrash',
+}, class NoteTrash extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Interval between purges of expired entries, in seconds.
+    ///
+    /// @type       {Number}
+    ///
+    static get _PURGE_INTERVAL() { return 3600; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {Extension}             extension       Extension instance.
+    /// @param      {StickyNotesInterface}  sticky_notes    StickyNotesInterface instance providing app interface.
+    /// @param      {NoteStore}             note_store      Note store instance.
+    ///
+    constructor(extension, sticky_notes, note_store) {
+        super();
+
+        this._settings = extension.getSettings();
+        this._sticky_notes = sticky_notes;
+        this._note_store = note_store;
+        this._notes = new Map();  // uuid -> [note, note file contents], as last seen (store no longer holds deleted notes)
+        this._store_ids = [];
+        this._timeout_id = null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Starts tracking closed/deleted notes.
+    ///
+    enable() {
+        for (const note of this._note_store.list()) {
+            this._notes.set(note['uuid'], [note, this._note_store.contents(note['uuid'])]);
+        }
+
+        this._store_ids = [
+            this._note_store.connect('note-added', (_, uuid) => this._onNoteChanged(uuid)),
+            this._note_store.connect('note-changed', (_, uuid) => this._onNoteChanged(uuid)),
+            this._note_store.connect('note-removed', (_, uuid) => this._onNoteRemoved(uuid)),
+        ];
+        this._on_retention_id = this._settings.connect('changed::trash-retention', this.purge.bind(this));
+        this._timeout_id = GLib.timeout_add_seconds(GLib.PRIORITY_LOW, NoteTrash._PURGE_INTERVAL, () => {
+            this.purge();
+            return GLib.SOURCE_CONTINUE;
+        });
+
+        this.purge();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops tracking closed/deleted notes, keeping history.
+    ///
+    disable() {
+        for (const id of this._store_ids) {
+            safe_disconnect(this._note_store, id);
+        }
+        this._store_ids.length = 0;
+        safe_disconnect(this._settings, this._on_retention_id);
+
+        if (this._timeout_id) {
+            GLib.source_remove(this._timeout_id);
+            this._timeout_id = null;
+        }
+
+        this._notes.clear();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief History directory.
+    ///
+    /// @type       {String}
+    ///
+    get directory() {
+        return GLib.build_filenamev([GLib.get_user_data_dir(), 'sticky-notes-integration', 'trash']);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Callback for added/changed notes; records notes that were closed and forgets those that were reopened or are back (e.g. restored).
+    ///
+    _onNoteChanged(uuid) {
+        const [previous] = this._notes.get(uuid) ?? [];
+        const note = this._note_store.get(uuid);
+        if (!note) {
+            return;
+        }
+        this._notes.set(uuid, [note, this._note_store.contents(uuid)]);
+
+        if (note['open']) {
+            this.discard(uuid);
+        } else if (!previous) {
+            this._read(uuid, (entry) => {
+                if (entry?.['reason'] === 'deleted') {
+                    this.discard(uuid);
+                }
+            });
+        } else if (previous['open']) {
+            this._write(uuid, 'closed');
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Callback for removed notes; records deleted notes.
+    ///
+    _onNoteRemoved(uuid) {
+        if (this._notes.has(uuid)) {
+            this._write(uuid, 'deleted');
+            this._notes.delete(uuid);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Gets history entry file of given note.
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    /// @return     {Gio.File}  Entry file.
+    ///
+    _file(uuid) {
+        return Gio.File.new_for_path(GLib.build_filenamev([this.directory, uuid + '.json']));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Writes a history entry for given note, as last seen, asynchronously.
+    ///
+    /// @param      {String}  uuid      Note identifier.
+    /// @param      {String}  reason    'closed' or 'deleted'.
+    ///
+    _write(uuid, reason) {
+        const [note, contents] = this._notes.get(uuid);
+        if (contents === null) {
+            console.debug(this.constructor.name + `: no contents to record for ${reason} note ${uuid}`);
+            return;
+        }
+
+        const entry = {
+            'uuid'     : uuid,
+            'title'    : note['title'],
+            'path'     : note['path'],
+            'reason'   : reason,
+            'trashed'  : Date.now(),
+            'contents' : contents,
+        };
+
+        try {
+            GLib.mkdir_with_parents(this.directory, 0o700);
+        } catch (error) {
+            console.debug(this.constructor.name + `: unable to create '${this.directory}' (${error.message})`);
+        }
+
+        const bytes = new GLib.Bytes(new TextEncoder().encode(JSON.stringify(entry)));
+        this._file(uuid).replace_contents_bytes_async(bytes, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null, (file, res) => {
+            try {
+                file.replace_contents_finish(res);
+                console.debug(this.constructor.name + `: recorded ${reason} note ${uuid}`);
+            } catch (error) {
+                console.debug(this.constructor.name + `: unable to record ${reason} note ${uuid} (${error.message})`);
+            }
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Reads a JSON file, asynchronously.
+    ///
+    /// @param      {Gio.File}  file        File to read.
+    /// @param      {Function}  callback    Called with parsed contents, or null on error.
+    ///
+    _readJSON(file, callback) {
+        file.load_contents_async(null, (source, res) => {
+            let data = null;
+            try {
+                const [, contents] = source.load_contents_finish(res);
+                data = JSON.parse(new TextDecoder().decode(contents));
+            } catch (error) {
+                if (!error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    console.debug(this.constructor.name + `: unable to read '${source.get_path()}' (${error.message})`);
+                }
+            }
+            callback(data);
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Reads history entry of given note, asynchronously.
+    ///
+    /// @param      {String}    uuid        Note identifier.
+    /// @param      {Function}  callback    Called with entry (cf. list()), or null if not found.
+    ///
+    _read(uuid, callback) {
+        this._readJSON(this._file(uuid), callback);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Lists history entries, most recent first, asynchronously.
+    ///
+    /// @param      {Function}  callback    Called with entries, as objects with 'uuid', 'title', 'path' (original note file),
+    ///                                     'reason' ('closed'/'deleted'), 'trashed' (ms since epoch) and 'contents' (note file contents).
+    ///
+    list(callback) {
+        const entries = [];
+        const directory = Gio.File.new_for_path(this.directory);
+
+        directory.enumerate_children_async('standard::name', Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null, (source, res) => {
+            let enumerator = null;
+            try {
+                enumerator = source.enumerate_children_finish(res);
+            } catch (error) {
+                callback(entries);  // no history yet
+                return;
+            }
+
+            const names = [];
+            const next = () => enumerator.next_files_async(32, GLib.PRIORITY_DEFAULT, null, (enumerator, res) => {
+                let infos = [];
+                try {
+                    infos = enumerator.next_files_finish(res);
+                } catch (error) {
+                    console.debug(this.constructor.name + `: unable to list '${this.directory}' (${error.message})`);
+                }
+                if (infos.length) {
+                    names.push(...infos.map((info) => info.get_name()).filter((name) => name.endsWith('.json')));
+                    next();
+                    return;
+                }
+                enumerator.close_async(GLib.PRIORITY_DEFAULT, null, null);
+
+                let pending = names.length;
+                if (!pending) {
+                    callback(entries);
+                }
+                for (const name of names) {
+                    this._readJSON(directory.get_child(name), (entry) => {
+                        if (entry) {
+                            entries.push(entry);
+                        }
+                        if (--pending === 0) {
+                            callback(entries.sort((a, b) => b['trashed'] - a['trashed']));
+                        }
+                    });
+                }
+            });
+            next();
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Reopens a closed note, or restores a deleted note file, from history, asynchronously.
+    ///
+    /// @param      {String}    uuid              Note identifier.
+    /// @param      {Function}  [callback=null]   Called with true if note was restored, false otherwise.
+    ///
+    /// @note  Closed notes that still exist are reopened from their current file (i.e. with any changes since), deleted notes are restored
+    ///        from history as they were last seen.
+    ///
+    restore(uuid, callback = null) {
+        const restore = (contents, path) => {
+            const started = this._sticky_notes.restoreNote(contents, path, (success) => {
+                if (success) {
+                    this.discard(uuid);
+                }
+                callback?.(success);
+            });
+            if (!started) {
+                callback?.(false);
+            }
+        };
+
+        this._read(uuid, (entry) => {
+            if (!entry) {
+                callback?.(false);
+                return;
+            }
+
+            this._readJSON(Gio.File.new_for_path(entry['path']), (data) => {
+                if (data) {
+                    restore(JSON.stringify({ ...data, 'open': true, 'hidden': false }), entry['path']);
+                } else {
+                    restore(entry['contents'], entry['path']);
+                }
+            });
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Removes history entry of given note, asynchronously.
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    discard(uuid) {
+        this._file(uuid).delete_async(GLib.PRIORITY_DEFAULT, null, (file, res) => {
+            try {
+                file.delete_finish(res);
+            } catch (error) {
+                // no entry
+            }
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Removes history entries older than 'trash-retention' days.
+    ///
+    purge() {
+        const limit = Date.now() - this._settings.get_int('trash-retention') * 24 * 60 * 60 * 1000;
+        this.list((entries) => {
+            for (const entry of entries) {
+                if (entry['trashed'] < limit) {
+                    this.discard(entry['uuid']);
+                }
+            }
+        });
+    }
+});
@@ -0,0 +1,151 @@
+import GObject from 'gi://GObject';
+
+import { MultiWindowHandler } from './multiWindowHandler.js';
+import { AppInfo } from '../lib/globals.js';
+import { connect_until, safe_disconnect } from '../lib/utils.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class that keeps track of the workspace each note belongs to.
+///
+/// @note  Note workspaces are stored (by note identifier) as a JSON string in extension settings ('note-workspaces'),
+///        updated whenever a note is moved to a different workspace, and applied when a note window opens (e.g. after app restart).
+///        Workspaces of deleted notes are forgotten.
+///
+export const NoteWorkspaceHandler = GObject.registerClass({
+    GTypeName: 'StickyNotesNoteWorkspaceHandler',
+}, class NoteWorkspaceHandler extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {Extension}             extension       Extension instance.
+    /// @param      {StickyNotesInterface}  sticky_notes    StickyNotesInterface instance providing app interface.
+    /// @param      {NoteStore}             note_store      Note store instance.
+    ///
+    constructor(extension, sticky_notes, note_store) {
+        super();
+
+        this._settings = extension.getSettings();
+        this._sticky_notes = sticky_notes;
+        this._note_store = note_store;
+        this._windows = new Map();  // Meta.Window -> [workspace-changed id, unmanaged id]
+        this._on_note_removed_id = null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Starts tracking note workspaces, including already open notes.
+    ///
+    enable() {
+        for (const window of this._sticky_notes.note_windows) {
+            this._track(window);
+        }
+        this._on_note_removed_id = this._note_store.connect('note-removed', (_, uuid) => this._forget(uuid));
+
+        // wm_class may not be set on creation, hence checked once window is shown
+        this._on_window_created_id = global.display.connect('window-created', (_, window) => {
+            connect_until(window, 'shown', (w) => {
+                if (w.get_wm_class() === AppInfo['wm-class'] && MultiWindowHandler.isNote(w)) {
+                    this._apply(w);
+                    this._track(w);
+                }
+                return true;
+            });
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops tracking note workspaces.
+    ///
+    disable() {
+        safe_disconnect(global.display, this._on_window_created_id);
+        safe_disconnect(this._note_store, this._on_note_removed_id);
+        this._on_note_removed_id = null;
+
+        for (const window of [...this._windows.keys()]) {
+            this._untrack(window);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Reads saved note workspaces.
+    ///
+    /// @return     {Object}  Workspace indices, by note identifier.
+    ///
+    _load() {
+        try {
+            return JSON.parse(this._settings.get_string('note-workspaces')) ?? { };
+        } catch (error) {
+            return { };
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Connects to given *window* signals, to remember its workspace on change.
+    ///
+    _track(window) {
+        if (this._windows.has(window)) {
+            return;
+        }
+
+        this._windows.set(window, [
+            window.connect('workspace-changed', this._remember.bind(this)),
+            window.connect('unmanaged', this._untrack.bind(this)),
+        ]);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Disconnects from given *window* signals.
+    ///
+    _untrack(window) {
+        for (const id of this._windows.get(window) ?? []) {
+            safe_disconnect(window, id);
+        }
+        this._windows.delete(window);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Saves workspace of given *window*.
+    ///
+    /// @note  Notes on all workspaces are forgotten.
+    ///
+    _remember(window) {
+        const uuid = this._sticky_notes.getWindowNote(window);
+        if (!uuid) {
+            return;
+        }
+
+        const workspaces = this._load();
+        const workspace = window.get_workspace();
+        if (window.is_on_all_workspaces() || !workspace) {
+            delete workspaces[uuid];
+        } else {
+            workspaces[uuid] = workspace.index();
+        }
+        this._settings.set_string('note-workspaces', JSON.stringify(workspaces));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Forgets workspace of given (deleted) note.
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    _forget(uuid) {
+        const workspaces = this._load();
+        if (uuid in workspaces) {
+            delete workspaces[uuid];
+            this._settings.set_string('note-workspaces', JSON.stringify(workspaces));
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Moves given *window* to its saved workspace, if any.
+    ///
+    _apply(window) {
+        const uuid = this._sticky_notes.getWindowNote(window);
+        const index = uuid ? this._load()[uuid] : undefined;
+        if (index === undefined || index >= global.workspace_manager.get_n_workspaces()) {
+            return;
+        }
+
+        window.change_workspace_by_index(index, false);
+    }
+});
@@ -1,13 +1,18 @@
 import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
+import Meta from 'gi://Meta';
 import St from 'gi://St';
 import Clutter from 'gi://Clutter';
 
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as DND from 'resource:///org/gnome/shell/ui/dnd.js';
 
-import { AppInfo, Visibility, PanelPosition, StickyNotesAction, TriggerKey } from '../lib/globals.js';
+import { AppInfo, Visibility, PanelPosition, TriggerKey, Arrangement, WindowLayer } from '../lib/globals.js';
+import { IMPORT_PATTERNS } from '../lib/noteImport.js';
+import { choose_files, safe_disconnect } from '../lib/utils.js';
 
 //------------------------------------------------------------------------------
 /// @brief Class implementing a panel indicator for managing Sticky Notes.
@@ -20,15 +25,23 @@ export const StickyNotesIndicator = GObject.registerClass({
     //--------------------------------------------------------------------------
     /// @brief  Initializes the panel indicator.
     ///
-    /// @param      {Extension}             extension     Extension instance (to fetch settings and metadata).
-    /// @param      {StickyNotesInterface}  sticky_notes  App interface instance.
+    /// @param      {Extension}             extension       Extension instance (to fetch settings and metadata).
+    /// @param      {StickyNotesInterface}  sticky_notes    App interface instance.
+    /// @param      {NoteLayoutManager}     [layouts=null]  Note layout manager instance, required for 'Layouts' submenu.
+    /// @param      {NoteLayerHandler}      [layers=null]   Note layer handler instance, required for layer policy toggles.
+    /// @param      {NoteMirror}            [mirror=null]   Note mirror instance, required for Markdown export entries.
+    /// @param      {NoteTrash}             [trash=null]    Note trash instance, required for 'Recently Closed' submenu.
     ///
-    _init(extension, sticky_notes) {
+    _init(extension, sticky_notes, layouts = null, layers = null, mirror = null, trash = null) {
         super._init(0.0, _('StickyNotesIndicator'));
 
         this._extension = extension;
         this._settings = this._extension.getSettings();
         this._sticky_notes = sticky_notes;
+        this._layouts = layouts;
+        this._layers = layers;
+        this._mirror = mirror;
+        this._trash = trash;
 
         // initialize empty indicator
         this._icon = new St.Icon({ gicon: null, style_class: 'system-status-icon' });
@@ -46,12 +59,52 @@ export const StickyNotesIndicator = GObject.registerClass({
         this._icon.visible = false;
         this._label.visible = false;
 
+        // per-note submenu (populated on menu open, cf. _updateNotesMenu())
+        this._notes_menu = new PopupMenu.PopupSubMenuMenuItem('Notes');
+        this._notes_menu.visible = Boolean(this._sticky_notes.notes);
+
         // active menu section
         this._active_menu = new PopupMenu.PopupMenuSection();
+        this._active_menu.addMenuItem(this._notes_menu);
+        this._active_menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());  // ------------
         this._active_menu.addAction('Show All', this._sticky_notes.show.bind(this._sticky_notes));
         this._active_menu.addAction('Show Last', this._sticky_notes.show.bind(this._sticky_notes, 1));
         this._active_menu.addAction('Hide', this._sticky_notes.hide.bind(this._sticky_notes));
-        this._active_menu.addAction('Stack', this._sticky_notes.stack.bind(this._sticky_notes));
+        this._active_menu.addAction('Spread', this._sticky_notes.spread.bind(this._sticky_notes));
+        this._arrange_menu = new PopupMenu.PopupSubMenuMenuItem('Arrange');
+        for (const [label, mode] of Object.entries(Arrangement)) {
+            this._arrange_menu.menu.addAction(label, () => this._sticky_notes.arrange(mode));
+        }
+        this._active_menu.addMenuItem(this._arrange_menu);
+
+        // named layouts submenu (populated on menu open, cf. _updateLayoutsMenu())
+        this._layouts_menu = new PopupMenu.PopupSubMenuMenuItem('Layouts');
+        this._layouts_menu.visible = Boolean(this._layouts);
+        this._active_menu.addMenuItem(this._layouts_menu);
+
+        // global layer policy toggles
+        this._layer_setting_ids = [];
+        if (this._layers) {
+            this._on_top_switch = new PopupMenu.PopupSwitchMenuItem('Always on Top', this._settings.get_int('note-layer') === WindowLayer['Always on Top']);
+            this._on_top_switch.connect('toggled', (_, state) => {
+                this._settings.set_int('note-layer', state ? WindowLayer['Always on Top'] : WindowLayer['Normal']);
+            });
+            this._all_workspaces_switch = new PopupMenu.PopupSwitchMenuItem('On All Workspaces', this._settings.get_boolean('note-all-workspaces'));
+            this._all_workspaces_switch.connect('toggled', (_, state) => {
+                this._settings.set_boolean('note-all-workspaces', state);
+            });
+            this._layer_setting_ids = [
+                this._settings.connect('changed::note-layer', (settings, key) => {
+                    this._on_top_switch.setToggleState(settings.get_int(key) === WindowLayer['Always on Top']);
+                }),
+                this._settings.connect('changed::note-all-workspaces', (settings, key) => {
+                    this._all_workspaces_switch.setToggleState(settings.get_boolean(key));
+                }),
+            ];
+            this._active_menu.addMenuItem(this._on_top_switch);
+            this._active_menu.addMenuItem(this._all_workspaces_switch);
+        }
+        this._active_menu.addAction('All Notes', this._sticky_notes.main.bind(this._sticky_notes));
         this._active_menu.addAction('Quit', this._sticky_notes.close.bind(this._sticky_notes));
 
         // inactive menu section
@@ -60,13 +113,36 @@ export const StickyNotesIndicator = GObject.registerClass({
         msg.sensitive = false;
         this._inactive_menu = new PopupMenu.PopupMenuSection();
         this._inactive_menu.addAction('Launch', this._sticky_notes.launch.bind(this._sticky_notes));
+        this._inactive_menu.addAction('All Notes', this._sticky_notes.main.bind(this._sticky_notes));
+
+        // quick-capture entry, creates a note from typed text on 'Enter'
+        this._capture_item = new PopupMenu.PopupBaseMenuItem({ reactive: false, can_focus: false });
+        this._capture_entry = new St.Entry({
+            hint_text: 'Quick note…',
+            can_focus: true,
+            x_expand: true,
+            style_class: 'popup-menu-entry',
+        });
+        this._capture_entry.clutter_text.connect('activate', this._onCapture.bind(this));
+        this._capture_item.add_child(this._capture_entry);
 
         // build menu
+        this.menu.addMenuItem(this._capture_item);
         this.menu.addAction('New Note', this._sticky_notes.new.bind(this._sticky_notes));
+        this.menu.addAction('New Note from Clipboard', this._sticky_notes.newFromClipboard.bind(this._sticky_notes, []));
         this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());  // ------------
         this.menu.addMenuItem(this._active_menu);
         this.menu.addMenuItem(this._inactive_menu);
+
+        // recently closed/deleted notes submenu (populated on menu open, cf. _updateTrashMenu())
+        this._trash_menu = new PopupMenu.PopupSubMenuMenuItem('Recently Closed');
+        this._trash_menu.visible = Boolean(this._trash);
+        this.menu.addMenuItem(this._trash_menu);
         this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());  // ------------
+        this.menu.addAction('Import Notes…', this._importNotes.bind(this));
+        if (this._mirror) {
+            this.menu.addAction('Export All Notes', this._exportNotes.bind(this, null));
+        }
         this.menu.addAction(_('Preferences'), () => this._extension.openPreferences());
 
         // initialize quick action bindings
@@ -98,6 +174,20 @@ export const StickyNotesIndicator = GObject.registerClass({
         // update menu entries on change to active status
         this._sticky_notes.connect('notify::active', this._updateMenu.bind(this));
 
+        // rebuild note list when menu is opened, and while open as notes are opened/closed
+        this.menu.connect('open-state-changed', (_, open) => {
+            if (open) {
+                this._updateNotesMenu();
+                this._updateLayoutsMenu();
+                this._updateTrashMenu();
+            }
+        });
+        this._notes_menu_ids = ['note-opened', 'note-closed'].map((signal) => this._sticky_notes.connect(signal, () => {
+            if (this.menu.isOpen) {
+                this._updateNotesMenu();
+            }
+        }));
+
         // update indicator position in panel on change in 'panel-indicator-position' setting
         this._settings.connect('changed::panel-indicator-position', this._updatePosition.bind(this));
         this._settings.connect('changed::panel-indicator-position-order', this._updatePosition.bind(this));
@@ -105,6 +195,12 @@ export const StickyNotesIndicator = GObject.registerClass({
         // update indicator visibility on change in 'show-panel-indicator' settting
         this._sticky_notes.connect('notify::active', this._updateVisibility.bind(this));
         this._settings.connect('changed::show-panel-indicator', this._updateVisibility.bind(this));
+
+        // import files dropped from other applications (cf. handleDragOver())
+        this._delegate = this;
+        this._drop = null;
+        this._drag_end_id = Main.xdndHandler.connect('drag-end', this._onDragEnd.bind(this));
+        this.connect('destroy', () => Main.xdndHandler.disconnect(this._drag_end_id));
     }
 
     //--------------------------------------------------------------------------
@@ -114,6 +210,22 @@ export const StickyNotesIndicator = GObject.registerClass({
         Main.panel.addToStatusArea(this._extension.uuid, this);
     }
 
+    //--------------------------------------------------------------------------
+    /// @brief Destroys the indicator, disconnecting submenu handlers from settings and app interface.
+    ///
+    destroy() {
+        for (const id of this._layer_setting_ids) {
+            safe_disconnect(this._settings, id);
+        }
+        for (const id of this._notes_menu_ids) {
+            safe_disconnect(this._sticky_notes, id);
+        }
+        this._layer_setting_ids = [];
+        this._notes_menu_ids = [];
+
+        super.destroy();
+    }
+
     //--------------------------------------------------------------------------
     /// @brief Loads/assigns/caches icons for active and inactive indicator according to extension preferences.
     ///
@@ -174,6 +286,322 @@ export const StickyNotesIndicator = GObject.registerClass({
         this._inactive_menu.actor.visible = !this._sticky_notes.active;
     }
 
+    //--------------------------------------------------------------------------
+    /// @brief Rebuilds per-note submenu entries from note store.
+    ///
+    /// @note  Only notes flagged as open (or with a matching window) are listed, most recently modified first.
+    ///
+    _updateNotesMenu() {
+        const store = this._sticky_notes.notes;
+        if (!store) {
+            return;
+        }
+
+        this._notes_menu.menu.removeAll();
+
+        for (const note of store.list()) {
+            const window = this._sticky_notes.getNoteWindow(note['uuid']);
+            if (!window && !note['open']) {
+                continue;
+            }
+            this._notes_menu.menu.addMenuItem(this._createNoteMenuItem(note, Boolean(window)));
+        }
+
+        if (this._notes_menu.menu.isEmpty()) {
+            const msg = this._notes_menu.menu.addAction('no open notes', null);
+            msg.sensitive = false;
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Creates a menu entry for given *note*, with note color and quick actions (move to current monitor/workspace, layer policy, hide, close).
+    ///
+    /// @param      {Object}   note              Note (cf. NoteStore).
+    /// @param      {Boolean}  [sensitive=true]  Whether entry should be enabled (i.e. note window was found).
+    ///
+    /// @return     {PopupMenu.PopupMenuItem}  Menu entry; activating it brings note to front.
+    ///
+    _createNoteMenuItem(note, sensitive = true) {
+        const title = note['title'] || 'Untitled';
+        const label = title.length > 32 ? title.slice(0, 31) + '…' : title;
+
+        const item = new PopupMenu.PopupMenuItem(label);
+        item.label.x_expand = true;
+        item.insert_child_below(new St.Icon({
+            icon_name: 'media-record-symbolic',
+            style_class: 'popup-menu-icon',
+            style: `color: ${note['color']};`,
+        }), item.label);
+
+        // icons given as name or path (e.g. built-in icons)
+        const add_button = (icon, description, callback) => {
+            const button = new St.Button({
+                child: new St.Icon({ gicon: Gio.icon_new_for_string(icon), style_class: 'popup-menu-icon' }),
+                style_class: 'icon-button',
+                accessible_name: description,
+                can_focus: true,
+                y_align: Clutter.ActorAlign.CENTER,
+            });
+            button.connect('clicked', () => {
+                this.menu.close();
+                callback(note['uuid']);
+            });
+            item.add_child(button);
+        };
+
+        add_button('video-display-symbolic', 'Move to this monitor', (uuid) => this._sticky_notes.moveNoteToMonitor(uuid));
+        add_button('focus-windows-symbolic', 'Move to this workspace', (uuid) => this._sticky_notes.moveNoteToWorkspace(uuid));
+        const policy = sensitive ? this._layers?.getNotePolicy(note['uuid']) : null;
+        if (policy) {
+            const icons_path = this._extension.dir.get_child('icons').get_path();
+            const layer_icon = {
+                [WindowLayer['Normal']]: icons_path + '/window-unpin.svg',
+                [WindowLayer['Always on Top']]: icons_path + '/window-pin.svg',
+                [WindowLayer['Desktop Level']]: 'go-bottom-symbolic',
+            };
+            const next_layer = (policy['layer'] + 1) % Object.keys(WindowLayer).length;
+            add_button(layer_icon[policy['layer']], 'Cycle layer (normal, always on top, desktop level)',
+                (uuid) => this._layers.setNotePolicy(uuid, { 'layer': next_layer }));
+            add_button(policy['all-workspaces'] ? 'view-pin-symbolic' : 'view-paged-symbolic', 'Toggle on all workspaces',
+                (uuid) => this._layers.setNotePolicy(uuid, { 'all-workspaces': !policy['all-workspaces'] }));
+        }
+        if (this._mirror) {
+            add_button('document-save-symbolic', 'Export this note', (uuid) => this._exportNotes(uuid));
+        }
+        add_button('window-minimize-symbolic', 'Hide', (uuid) => this._sticky_notes.hideNote(uuid));
+        add_button('window-close-symbolic', 'Close', (uuid) => this._sticky_notes.closeNote(uuid));
+
+        item.connect('activate', () => this._sticky_notes.showNote(note['uuid']));
+        item.setSensitive(sensitive);
+
+        return item;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Opens indicator menu with focus on quick-capture entry.
+    ///
+    capture() {
+        this.menu.open();
+        this._capture_entry.grab_key_focus();
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Callback for 'Enter' on quick-capture entry, creates a note with typed text (cf. 'capture-note-style' setting).
+    ///
+    /// @note  Menu is closed first, so that focus goes back to the previously focused window (cf. StickyNotesInterface.createNote()).
+    ///        Typed text is only cleared once note creation started, hence kept for a later attempt if notes are busy (e.g. restoring a backup).
+    ///
+    _onCapture() {
+        const content = this._capture_entry.get_text().trim();
+        if (!content) {
+            return;
+        }
+
+        this.menu.close();
+        if (!this._sticky_notes.createNote(content, this._settings.get_int('capture-note-style'))) {
+            Main.notify('Sticky Notes', 'Notes are busy, note was not created');
+            return;
+        }
+
+        this._capture_entry.set_text('');
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Asks user for text/Markdown files and imports them as notes (cf. _importFiles()).
+    ///
+    _importNotes() {
+        choose_files('Import Notes', IMPORT_PATTERNS, this._importFiles.bind(this));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Imports given text/Markdown files as notes (cf. 'import-note-style' setting), notifying user of the result.
+    ///
+    /// @param      {Array}   paths   Paths of files to import.
+    ///
+    _importFiles(paths) {
+        if (!paths.length) {
+            return;
+        }
+        this._sticky_notes.importFiles(paths, this._settings.get_int('import-note-style'), (n) => {
+            Main.notify('Sticky Notes', n ? `Imported ${n} note${n > 1 ? 's' : ''}` : 'No notes imported');
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Drag-and-drop target implementation, accepting files dragged from other applications over the indicator.
+    ///
+    /// @note  Drags from other applications are relayed to Shell actors by Main.xdndHandler, without their data nor a drop: the panel is
+    ///        no drop target for applications, hence dropping onto the indicator ends the drag (cf. _onDragEnd()). Dragged files are therefore
+    ///        fetched from Mutter's drag-and-drop selection while hovering the indicator.
+    ///
+    /// @see   https://gitlab.gnome.org/GNOME/gnome-shell/-/blob/main/js/ui/xdndHandler.js
+    ///
+    handleDragOver(source, _actor, _x, _y, _time) {
+        if (source !== Main.xdndHandler) {
+            return DND.DragMotionResult.CONTINUE;
+        }
+        if (this._drop) {
+            return DND.DragMotionResult.COPY_DROP;
+        }
+
+        const selection = global.display.get_selection();
+        if (!selection.get_mimetypes(Meta.SelectionType.SELECTION_DND).includes('text/uri-list')) {
+            return DND.DragMotionResult.NO_DROP;
+        }
+
+        const drop = this._drop = { 'paths': null, 'dropped': false };
+        const stream = Gio.MemoryOutputStream.new_resizable();
+        selection.transfer_async(Meta.SelectionType.SELECTION_DND, 'text/uri-list', -1, stream, null, (selection, res) => {
+            drop['paths'] = [];
+            try {
+                selection.transfer_finish(res);
+                stream.close(null);
+                const uris = new TextDecoder().decode(stream.steal_as_bytes().toArray()).split(/\r?\n/).filter((uri) => uri && !uri.startsWith('#'));
+                drop['paths'] = uris.map((uri) => Gio.File.new_for_uri(uri).get_path()).filter((path) => path &&
+                    IMPORT_PATTERNS.some((pattern) => GLib.pattern_match_simple(pattern, GLib.path_get_basename(path))));
+            } catch (error) {
+                console.debug(this.constructor.name + `: unable to get dragged files (${error.message})`);
+            }
+            if (drop['dropped']) {
+                this._importFiles(drop['paths']);
+            }
+        });
+
+        return DND.DragMotionResult.COPY_DROP;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Callback for end of drags from other applications; imports dragged files if dropped onto the indicator.
+    ///
+    _onDragEnd() {
+        const drop = this._drop;
+        this._drop = null;
+        if (!drop) {
+            return;  // not dragged over indicator
+        }
+
+        const [x, y] = global.get_pointer();
+        const [ax, ay] = this.get_transformed_position();
+        const [width, height] = this.get_transformed_size();
+        if (x < ax || y < ay || x >= ax + width || y >= ay + height) {
+            return;  // dropped elsewhere
+        }
+
+        drop['dropped'] = true;
+        if (drop['paths']) {
+            this._importFiles(drop['paths']);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Exports given note, or all notes, as Markdown and notifies user of the result.
+    ///
+    /// @param      {String}  [uuid=null]  Note identifier, all notes if null.
+    ///
+    _exportNotes(uuid = null) {
+        const notify = (n) => {
+            Main.notify('Sticky Notes', n ? `Exported ${n} note${n > 1 ? 's' : ''} to ${this._mirror.directory}` : 'No notes exported');
+        };
+
+        if (uuid) {
+            this._mirror.exportNote(uuid, (success) => notify(Number(success)));
+        } else {
+            this._mirror.exportAll(notify);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Rebuilds named layouts submenu: an entry to save current layout, followed by saved layouts (click to restore).
+    ///
+    _updateLayoutsMenu() {
+        if (!this._layouts) {
+            return;
+        }
+
+        this._layouts_menu.menu.removeAll();
+
+        // 'save as' entry
+        const save_item = new PopupMenu.PopupBaseMenuItem({ reactive: false, can_focus: false });
+        const entry = new St.Entry({
+            hint_text: 'Save layout as…',
+            can_focus: true,
+            x_expand: true,
+            style_class: 'popup-menu-entry',
+        });
+        entry.clutter_text.connect('activate', () => {
+            if (this._layouts.saveNamed(entry.get_text())) {
+                this.menu.close();
+            }
+        });
+        save_item.add_child(entry);
+        this._layouts_menu.menu.addMenuItem(save_item);
+
+        for (const name of this._layouts.names) {
+            const item = new PopupMenu.PopupMenuItem(name);
+            item.label.x_expand = true;
+            item.connect('activate', () => this._layouts.restoreNamed(name));
+
+            const delete_button = new St.Button({
+                child: new St.Icon({ icon_name: 'edit-delete-symbolic', style_class: 'popup-menu-icon' }),
+                style_class: 'icon-button',
+                accessible_name: 'Delete',
+                can_focus: true,
+                y_align: Clutter.ActorAlign.CENTER,
+            });
+            delete_button.connect('clicked', () => {
+                this._layouts.deleteNamed(name);
+                item.destroy();
+            });
+            item.add_child(delete_button);
+
+            this._layouts_menu.menu.addMenuItem(item);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Rebuilds recently closed submenu: closed and deleted notes, most recent first (click to reopen/restore), once listed (cf. NoteTrash.list()).
+    ///
+    _updateTrashMenu() {
+        if (!this._trash) {
+            return;
+        }
+
+        this._trash.list((entries) => {
+            this._trash_menu.menu.removeAll();
+
+            for (const entry of entries) {
+                const title = entry['title'] || 'Untitled';
+                const item = new PopupMenu.PopupMenuItem(title.length > 32 ? title.slice(0, 31) + '…' : title);
+                item.label.x_expand = true;
+                item.insert_child_below(new St.Icon({
+                    icon_name: entry['reason'] === 'deleted' ? 'user-trash-symbolic' : 'window-close-symbolic',
+                    style_class: 'popup-menu-icon',
+                }), item.label);
+                item.connect('activate', () => this._trash.restore(entry['uuid']));
+
+                const discard_button = new St.Button({
+                    child: new St.Icon({ icon_name: 'edit-delete-symbolic', style_class: 'popup-menu-icon' }),
+                    style_class: 'icon-button',
+                    accessible_name: 'Forget',
+                    can_focus: true,
+                    y_align: Clutter.ActorAlign.CENTER,
+                });
+                discard_button.connect('clicked', () => {
+                    this._trash.discard(entry['uuid']);
+                    item.destroy();
+                });
+                item.add_child(discard_button);
+
+                this._trash_menu.menu.addMenuItem(item);
+            }
+
+            if (this._trash_menu.menu.isEmpty()) {
+                const msg = this._trash_menu.menu.addAction('no recently closed notes', null);
+                msg.sensitive = false;
+            }
+        });
+    }
+
     //--------------------------------------------------------------------------
     /// @brief Updates indicator position in panel
     ///
@@ -231,43 +659,7 @@ export const StickyNotesIndicator = GObject.registerClass({
     _bindAction(trigger) {
         console.debug(`Binding ${trigger}`);
 
-        this._bindings[trigger] = null;
-        switch (this._settings.get_int(trigger)) {
-            case StickyNotesAction['Toggle']:
-                this._bindings[trigger] = () => this._sticky_notes.toggle();
-                break;
-            case StickyNotesAction['Show All']:
-                this._bindings[trigger] = () => this._sticky_notes.show();
-                break;
-            case StickyNotesAction['Show Last']:
-                this._bindings[trigger] = () => this._sticky_notes.show(1);
-                break;
-            case StickyNotesAction['Cycle']:
-                this._bindings[trigger] = () => this._sticky_notes.show(1, false);
-                break;
-            case StickyNotesAction['Hide All']:
-                this._bindings[trigger] = () => this._sticky_notes.hide();
-                break;
-            case StickyNotesAction['New Note']:
-                this._bindings[trigger] = () => this._sticky_notes.new();
-                break;
-            // case StickyNotesAction['Spread']:
-            //     this._bindings[trigger] = () => this._sticky_notes.spread();
-            //     break;
-            case StickyNotesAction['Stack']:
-                this._bindings[trigger] = () => this._sticky_notes.stack();
-                break;
-            // case StickyNotesAction['All Notes']:
-            //     this._bindings[trigger] = () => this._sticky_notes.all();
-            //     break;
-            case StickyNotesAction['Launch']:
-                this._bindings[trigger] = () => this._sticky_notes.launch();
-                break;
-            case StickyNotesAction['Quit']:
-                this._bindings[trigger] = () => this._sticky_notes.close();
-                break;
-        }
-
+        this._bindings[trigger] = this._sticky_notes.getAction(this._settings.get_int(trigger));
     }
 
     //----------------------------------------------------------------------
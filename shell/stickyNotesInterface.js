@@ -3,10 +3,15 @@ import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 import Meta from 'gi://Meta';
 import Shell from 'gi://Shell';
+import St from 'gi://St';
 
 import { MultiWindowHandler } from './multiWindowHandler.js';
-import { AppInfo } from '../lib/globals.js';
-import { execute_async, safe_disconnect } from '../lib/utils.js';
+import { NoteSpread } from './noteSpread.js';
+import { NoteArranger } from './noteArranger.js';
+import { AppInfo, AppDetection, StickyNotesAction, Arrangement, ArrangementKeys } from '../lib/globals.js';
+import { execute_async, safe_disconnect, connect_until, list_app_actions, activate_app_action } from '../lib/utils.js';
+import { restore_backup } from '../lib/backups.js';
+import { import_files, write_note, write_note_file } from '../lib/noteImport.js';
 
 //------------------------------------------------------------------------------
 /// @brief Class that provides a simple programatic interface to manage Sticky Notes.
@@ -14,6 +19,9 @@ import { execute_async, safe_disconnect } from '../lib/utils.js';
 ///
 /// @note  Extends MultiWindowHandler (by composition), for 'Sticky Notes'-specific usage.
 ///
+/// @note  Emits note-* signals (opened, closed, shown, hidden, moved, focused) with the note Meta.Window, driven by Mutter window signals;
+///        main window (aka 'All Notes') is tracked but emits none (cf. MultiWindowHandler.isNote()).
+///
 export const StickyNotesInterface = GObject.registerClass({
     GTypeName: 'StickyNotesInterface',
     Properties: {
@@ -25,11 +33,20 @@ export const StickyNotesInterface = GObject.registerClass({
             'n-windows', 'n-windows', 'Number of open Sticky Notes',
             GObject.ParamFlags.READABLE, 0
         ),
+        'main-window-open': GObject.ParamSpec.boolean(
+            'main-window-open', 'main-window-open', 'Whether Sticky Notes main window (aka \'All Notes\') is open',
+            GObject.ParamFlags.READABLE, false
+        ),
     },
     // @see https://docs.gtk.org/gobject/concepts.html#signal-emission
     Signals: {
-        'window-opened': { param_types: [ Meta.Window /* not working */ ],
-                           flags: GObject.SignalFlags.RUN_LAST },
+        'note-opened':  { param_types: [ Meta.Window ], flags: GObject.SignalFlags.RUN_LAST },
+        'note-closed':  { param_types: [ Meta.Window ] },
+        'note-shown':   { param_types: [ Meta.Window ] },
+        'note-hidden':  { param_types: [ Meta.Window ] },
+        'note-moved':   { param_types: [ Meta.Window ] },
+        'note-resized': { param_types: [ Meta.Window ] },
+        'note-focused': { param_types: [ Meta.Window ] },
     },
 }, class StickyNotesInterface extends GObject.Object {
     //--------------------------------------------------------------------------
@@ -46,19 +63,66 @@ export const StickyNotesInterface = GObject.registerClass({
     ///
     static get _NEWNOTE_CMD() { return AppInfo['process'] + ' -n'; }
 
+    //--------------------------------------------------------------------------
+    /// @brief Name of the GApplication action that opens the main window (aka 'All Notes').
+    ///
+    /// @type       {String}
+    ///
+    /// @note  Actions are not part of Sticky Notes public interface, hence checked against those actually exported (cf. _activateAppAction()).
+    ///
+    /// @see   https://github.com/vixalien/sticky/blob/main/src/application.ts
+    ///
+    static get _MAIN_WINDOW_ACTION() { return 'all-notes'; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Name of the GApplication action that creates a new note.
+    ///
+    /// @type       {String}
+    ///
+    /// @see   https://github.com/vixalien/sticky/blob/main/src/application.ts
+    ///
+    static get _NEW_NOTE_ACTION() { return 'new-note'; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Maximum duration to wait for Sticky Notes to exit before running a task on note files, in seconds (cf. _whileClosed()).
+    ///
+    /// @type       {Number}
+    ///
+    static get _CLOSE_TIMEOUT() { return 10; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Delay before giving focus back to the previously focused window once notes opened, in milliseconds (cf. createNote()).
+    ///
+    /// @type       {Number}
+    ///
+    static get _REFOCUS_DELAY() { return 500; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Maximum duration to wait for a note to open on launch before giving up, in seconds (cf. _placeNote(), _restoreNotes(), openNote()).
+    ///
+    /// @type       {Number}
+    ///
+    static get _PLACE_TIMEOUT() { return 10; }
+
     //--------------------------------------------------------------------------
     /// Constructs a new instance.
     ///
-    constructor(extension) {
+    /// @param      {Extension}  extension           Extension instance.
+    /// @param      {NoteStore}  [note_store=null]   Note store instance, required for per-note operations.
+    ///
+    constructor(extension, note_store = null) {
         super();
 
         this._settings = extension.getSettings();
+        this._note_store = note_store;
 
         this._n_windows = 0;
-        this.refresh();
-
-        this._shell_tracker_id = null;
-        this._display_tracker_id = null;
+        this._main_window_open = false;
+        this._windows = new Map();     // Meta.Window -> [signal ids], for all Sticky Notes windows (incl. main window)
+        this._candidates = new Map();  // Meta.Window -> [signal ids], for other windows, until their wm_class matches
+        this._refresh_source_id = null;
+        this._refocus_source_id = null;
+        this._avoided_refreshes = 0;  // refreshes coalesced by _queueRefresh(), for debugging purposes
 
         this._keep_alive = this._settings.get_boolean('keep-alive');
         this._settings.connect('changed::keep-alive', (settings, key) => {
@@ -68,25 +132,39 @@ export const StickyNotesInterface = GObject.registerClass({
 
         this._launch_lock = false;
         this._launch_tasks = [];
+        this._new_note_connection = null;  // places next note created through app action (cf. new())
+        this._place_note_connection = null;  // places note created while closed (cf. _placeNote())
+        this._place_note_source_id = null;
+        this._open_note_connection = null;  // shows note once opened on launch (cf. openNote())
+        this._open_note_source_id = null;
+        this._restore_notes_connection = null;  // restores notes reopened after a restart (cf. _restoreNotes())
+        this._restore_notes_source_id = null;
+
+        this._spread = null;
     }
 
     //--------------------------------------------------------------------------
-    /// @brief Signal-based implementation, which may be faster and more efficient than continuously polling process & window list
+    /// @brief Signal-based implementation, which keeps an incremental set of Sticky Notes windows rather than polling process & window list,
     ///        and does not require any parametrization.
     ///
-    /// @note  Different signals can achive same end results, as long as emitted on app launch/close.
-    ///        From logs, 'xdg-desktop-portal' catches 'running-applications-changed' from gnome-shell, which may be a good candidate for tracking app state.
+    /// @note  Set is only updated on window creation, unmanagement and wm_class changes (cf. _watchWindow()), hence unrelated window
+    ///        activity (e.g. restacking on focus changes) costs nothing; status is refreshed once per batch of changes (cf. _queueRefresh()).
     ///
     track() {
-        // Shell.WindowTracker emits signals on window updates
-        // @see https://gnome.pages.gitlab.gnome.org/gnome-shell/shell/class.WindowTracker.html
-        // this._shell_tracker_id = Shell.WindowTracker.get_default().connect('notify::focus-app', this.refresh.bind(this));   // alternative: 'tracked-windows-changed'
-        this._shell_tracker_id = Shell.AppSystem.get_default().connect('app-state-changed', this.refresh.bind(this));
-
-        // alternatively, Meta.Display class allows more granular control, although w/ more redundant calls
-        // @see  https://gnome.pages.gitlab.gnome.org/mutter/meta/signal.Display.html
-        this._display_tracker_id = global.display.connect_after('restacked', this.refresh.bind(this));  // alternatives: 'focus-window', 'notify::focus-window'
+        for (const actor of global.get_window_actors()) {
+            this._watchWindow(actor.get_meta_window(), false);
+        }
+        this._window_created_id = global.display.connect('window-created', (_, window) => this._watchWindow(window, true));
+        // notes titled after main window are told apart through note store (cf. MultiWindowHandler.isMain())
+        this._store_changed_id = this._note_store?.connect('changed', this._queueRefresh.bind(this)) ?? null;
+        this._focus_window_id = global.display.connect('notify::focus-window', () => {
+            const window = global.display.focus_window;
+            if (window && this._windows.has(window) && MultiWindowHandler.isNote(window)) {
+                this.emit('note-focused', window);
+            }
+        });
 
+        this.refresh();
         console.debug(this.constructor.name + ': tracking active status');
 
         return true;
@@ -96,67 +174,222 @@ export const StickyNotesInterface = GObject.registerClass({
     /// @brief Stops tracking of 'Sticky Notes' status.
     ///
     untrack() {
-        safe_disconnect(Shell.AppSystem.get_default(), this._shell_tracker_id);
-        safe_disconnect(global.display, this._display_tracker_id);
+        safe_disconnect(global.display, this._window_created_id);
+        safe_disconnect(global.display, this._focus_window_id);
+        safe_disconnect(this._note_store, this._store_changed_id);
+        for (const window of [...this._windows.keys()]) {
+            this._untrackWindow(window);
+        }
+        for (const [window, ids] of this._candidates) {
+            ids.forEach((id) => safe_disconnect(window, id));
+        }
+        this._candidates.clear();
+
+        if (this._refresh_source_id) {
+            GLib.source_remove(this._refresh_source_id);
+            this._refresh_source_id = null;
+        }
+        if (this._refocus_source_id) {
+            GLib.source_remove(this._refocus_source_id);
+            this._refocus_source_id = null;
+        }
+        this._new_note_connection?.destroy();
+        this._new_note_connection = null;
+        this._cancelPlaceNote();
+        this._cancelOpenNote();
+        this._cancelRestoreNotes();
 
-        console.debug(this.constructor.name + ': stopped tracking active status');
+        this._spread?.close();
+        this._spread?.destroy();
+        this._spread = null;
+
+        console.debug(this.constructor.name + `: stopped tracking active status [avoided ${this._avoided_refreshes} refreshes]`);
 
         return true;
     }
 
     //--------------------------------------------------------------------------
-    /// @brief Updates 'Static Notes' active status and emits signals accordingly.
+    /// @brief Tracks given *window* if a Sticky Notes window, otherwise waits for its wm_class to change (it may not be set on creation).
     ///
-    refresh() {
-        // @todo filter out main window (if open)
-        //       not straightforward to do through Mutter as main window has the same metadata as notes
-        const n_windows = MultiWindowHandler.count(AppInfo['wm-class']);
-        if (this._n_windows == n_windows) {
+    /// @param      {Meta.Window}  window    Window to track.
+    /// @param      {Boolean}      opened    Whether window was just opened (i.e. emit 'note-opened' once shown).
+    ///
+    _watchWindow(window, opened) {
+        if (window.get_wm_class() === AppInfo['wm-class']) {
+            this._trackWindow(window, opened);
+            return;
+        }
+        if (this._candidates.has(window)) {
             return;
         }
 
-        // for each new window, emit a 'window-opened' signal and pass Meta.Window object
-        // @todo window isn't being passed properly ('undefined' on connected callbacks)
-        const wdiff = n_windows - this._n_windows;
-        if (wdiff) {
-            const windows = MultiWindowHandler.get(AppInfo['wm-class'], wdiff, true);
-            for (const window of windows) {
-                this.emit('window-opened', window);
+        const forget = () => {
+            this._candidates.get(window)?.forEach((id) => safe_disconnect(window, id));
+            this._candidates.delete(window);
+        };
+        this._candidates.set(window, [
+            window.connect('notify::wm-class', () => {
+                if (window.get_wm_class() === AppInfo['wm-class']) {
+                    forget();
+                    this._trackWindow(window, opened);
+                }
+            }),
+            window.connect('unmanaged', forget),
+        ]);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Starts tracking lifecycle of given Sticky Notes *window*.
+    ///
+    /// @param      {Meta.Window}  window    Window to track.
+    /// @param      {Boolean}      opened    Whether window was just opened (i.e. emit 'note-opened' once shown).
+    ///
+    /// @note  Main window (cf. MultiWindowHandler.isNote()) is tracked to keep app alive, but does not emit note-* signals.
+    ///
+    _trackWindow(window, opened) {
+        if (this._windows.has(window)) {
+            return;
+        }
+
+        const emit_note = (signal) => {
+            if (MultiWindowHandler.isNote(window)) {
+                this.emit(signal, window);
             }
+        };
+        this._windows.set(window, [
+            window.connect('unmanaged', this._onWindowUnmanaged.bind(this)),
+            window.connect('notify::wm-class', () => {
+                if (window.get_wm_class() !== AppInfo['wm-class']) {
+                    this._untrackWindow(window);
+                    this._watchWindow(window, false);
+                    this._queueRefresh();
+                }
+            }),
+            window.connect('notify::title', this._queueRefresh.bind(this)),  // title tells main window apart from notes
+            window.connect('shown', () => emit_note('note-shown')),
+            window.connect('notify::minimized', () => {
+                if (window.minimized) {
+                    emit_note('note-hidden');
+                }
+            }),
+            window.connect('position-changed', () => emit_note('note-moved')),
+            window.connect('size-changed', () => emit_note('note-resized')),
+        ]);
+        this._queueRefresh();
+
+        // title (hence classification) and geometry are only reliable once shown
+        if (opened) {
+            connect_until(window, 'shown', () => {
+                if (this._windows.has(window)) {
+                    emit_note('note-opened');
+                }
+                return true;
+            });
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops tracking lifecycle of given *window*.
+    ///
+    _untrackWindow(window) {
+        for (const id of this._windows.get(window) ?? []) {
+            safe_disconnect(window, id);
+        }
+        this._windows.delete(window);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Callback for 'unmanaged' signal of Sticky Notes windows; emits 'note-closed' and, once no window is left, restarts app if 'keep-alive'.
+    ///
+    /// @param      {Meta.Window}  window    Closed window.
+    ///
+    _onWindowUnmanaged(window) {
+        const is_note = MultiWindowHandler.isNote(window);
+        this._untrackWindow(window);
+        this._queueRefresh();
+        if (is_note) {
+            this.emit('note-closed', window);
+        }
+
+        if (this._windows.size) {
+            return;
+        }
+
+        // only applied when closing app, in order to not cause conflict with 'auto-start' setting and if not creating a new note (which requires closing the app)
+        if (this._keep_alive && !this._launch_lock) {
+            console.debug(this.constructor.name + `: restarting [keep-alive: ${this._keep_alive}]`);
+            this.launch();
+            // for unobtrusiveness ('close' is assumed to be user-requested), notes are kept hidden on re-launch
+            // @todo add setting to enable/disable this
+            this._launch_tasks.push(this.hide.bind(this));
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Schedules a status refresh once idle, so that a batch of window changes (e.g. app launch/exit) notifies only once.
+    ///
+    /// @note  Coalesced refreshes are counted, and reported in debug logs (cf. refresh(), untrack()).
+    ///
+    _queueRefresh() {
+        if (this._refresh_source_id) {
+            this._avoided_refreshes++;
+            return;
+        }
+
+        this._refresh_source_id = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._refresh_source_id = null;
+            this.refresh();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Updates 'Static Notes' active status from tracked windows and emits signals accordingly.
+    ///
+    refresh() {
+        // main window is not counted as a note (cf. MultiWindowHandler.isNote()), but keeps app active
+        const windows = [...this._windows.keys()];
+        const n_windows = windows.filter((window) => MultiWindowHandler.isNote(window)).length;
+        const main_window_open = windows.some((window) => MultiWindowHandler.isMain(window));
+        if (this._n_windows == n_windows && this._main_window_open == main_window_open) {
+            return false;
+        }
+
+        const was_active = this.active;
+        if (this._main_window_open != main_window_open) {
+            this._main_window_open = main_window_open;
+            this.notify('main-window-open');
+        }
+
+        if (this._n_windows != n_windows) {
+            this._n_windows = n_windows;
+            this.notify('n-windows');
+        }
+        if (was_active == this.active) {
+            return true;
         }
-        this._n_windows = n_windows;
-        this.notify('n-windows');
         this.notify('active');
 
         if (this.active) {
-            console.debug(this.constructor.name + ` is active [${this._n_windows}]`);
+            console.debug(this.constructor.name + ` is active [${this._n_windows}${this._main_window_open ? ' + main window' : ''}, avoided ${this._avoided_refreshes} refreshes]`);
         } else {
             console.debug(this.constructor.name + ' is inactive');
-            // force a restart if 'keep-alive'
-            // only applied when closing app, in order to not cause conflict with 'auto-start' setting and if not creating a new note (which requires closing the app)
-            if (this._keep_alive && !this._launch_lock) {
-                console.debug(this.constructor.name + `: restarting [keep-alive: ${this._keep_alive}]`);
-                this.launch();
-                // for unobtrusiveness ('close' is assumed to be user-requested), notes are kept hidden on re-launch
-                // @todo add setting to enable/disable this
-                this._launch_tasks.push(this.hide.bind(this));
-                // // alternative implementation (bypassing default handler)
-                // this._launch_task_id = this.connect_after('window-opened', () => { this.hide(); safe_disconnect(this, this._launch_task_id); } );
-            }
         }
 
         return true;
     }
 
     //--------------------------------------------------------------------------
-    /// @brief 'window-opened' signal default handler, called when a new window Sticky Notes window opened.
+    /// @brief 'note-opened' signal default handler, called when a new Sticky Notes note window opened.
     ///
-    /// @param      {Meta.Window}  window    Window instance associated with opened window/note.
+    /// @param      {Meta.Window}  window    Window instance associated with opened note.
     ///
     /// @note   Used to lock launch commands during start-up (required e.g. when creating a new note with 'keep-alive' setting enabled, see new())
     ///         and generally to schedule tasks to execute on launch
     ///
-    on_window_opened(_, window) {
+    /// @note   Unlike connected callbacks, default handlers are not passed the emitting instance.
+    ///
+    on_note_opened(window) {
         for (const func of this._launch_tasks) {
             try {
                 func();
@@ -169,7 +402,7 @@ export const StickyNotesInterface = GObject.registerClass({
         this._launch_lock = false;
         this._launch_tasks.length = 0;  // @see https://stackoverflow.com/a/1232046
 
-        console.debug(this.constructor.name + `: window-opened`);
+        console.debug(this.constructor.name + `: note-opened '${window.get_title()}'`);
     }
 
     //--------------------------------------------------------------------------
@@ -178,7 +411,16 @@ export const StickyNotesInterface = GObject.registerClass({
     /// @type       {bool}  True if running (i.e. at least a window is opened), false otherwise.
     ///
     get active() {
-        return Boolean(this._n_windows);
+        return Boolean(this._n_windows) || this._main_window_open;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Get open status of Sticky Notes main window (aka 'All Notes').
+    ///
+    /// @type       {bool}  True if open, false otherwise.
+    ///
+    get main_window_open() {
+        return this._main_window_open;
     }
 
     //--------------------------------------------------------------------------
@@ -192,15 +434,254 @@ export const StickyNotesInterface = GObject.registerClass({
         return this._n_windows;
     }
 
+    //--------------------------------------------------------------------------
+    /// @brief Gets a callback performing given *action*.
+    ///
+    /// @param      {Number}  action  Action identifier (cf. StickyNotesAction).
+    ///
+    /// @return     {Function}  Callback performing *action*, or null if 'None'/not supported.
+    ///
+    /// @note  Shared by all action triggers (indicator mouse bindings, keyboard shortcuts...)
+    ///
+    getAction(action) {
+        switch (action) {
+            case StickyNotesAction['Toggle']:
+                return () => this.toggle();
+            case StickyNotesAction['Show All']:
+                return () => this.show();
+            case StickyNotesAction['Show Last']:
+                return () => this.show(1);
+            case StickyNotesAction['Cycle']:
+                return () => this.show(1, false);
+            case StickyNotesAction['Hide All']:
+                return () => this.hide();
+            case StickyNotesAction['New Note']:
+                return () => this.new();
+            case StickyNotesAction['New from Clipboard']:
+                return () => this.newFromClipboard();
+            case StickyNotesAction['Spread']:
+                return () => this.spread();
+            case StickyNotesAction['Stack']:
+                return () => this.stack();
+            case StickyNotesAction['Stack Here']:
+                return () => this.arrange(Arrangement['Stack Here']);
+            case StickyNotesAction['Cascade']:
+                return () => this.arrange(Arrangement['Cascade']);
+            case StickyNotesAction['Grid']:
+                return () => this.arrange(Arrangement['Grid']);
+            case StickyNotesAction['Column']:
+                return () => this.arrange(Arrangement['Column']);
+            case StickyNotesAction['All Notes']:
+                return () => this.main();
+            case StickyNotesAction['Launch']:
+                return () => this.launch();
+            case StickyNotesAction['Quit']:
+                return () => this.close();
+        }
+
+        return null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Get note store associated with interface.
+    ///
+    /// @type       {NoteStore}  Note store (null if not provided on construction).
+    ///
+    get notes() {
+        return this._note_store;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Get window associated with given note.
+    ///
+    /// @param      {String}  uuid    Note identifier (cf. NoteStore).
+    ///
+    /// @return     {Meta.Window}  Note window, or null if note is not open.
+    ///
+    /// @note  Windows are matched to notes by title, as Sticky Notes does not expose note identifiers to the window manager.
+    ///
+    getNoteWindow(uuid) {
+        const note = this._note_store?.get(uuid);
+        if (!note) {
+            return null;
+        }
+
+        return MultiWindowHandler.find(AppInfo['wm-class'], note['title']);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Get note associated with given window.
+    ///
+    /// @param      {Meta.Window}  window    Note window.
+    ///
+    /// @return     {String}  Note identifier (cf. NoteStore), or null if not found.
+    ///
+    /// @note  Matched by title, as getNoteWindow().
+    ///
+    getWindowNote(window) {
+        return this._note_store?.find(window.get_title())?.['uuid'] ?? null;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Get tracked note windows (i.e. excluding main window).
+    ///
+    /// @type       {Array}  Note windows.
+    ///
+    get note_windows() {
+        return [...this._windows.keys()].filter((window) => MultiWindowHandler.isNote(window));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Shows (brings to front) a specific note.
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    /// @return     {Boolean}  True if note window was found, false otherwise.
+    ///
+    showNote(uuid) {
+        const window = this.getNoteWindow(uuid);
+        if (!window) {
+            console.debug(this.constructor.name + `: no window found for note ${uuid}`);
+            return false;
+        }
+
+        MultiWindowHandler.focus(window);
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Brings a specific note to front, launching 'Sticky Notes' first if not running.
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    /// @return     {Boolean}  True if note was shown or scheduled to be shown on launch, false otherwise.
+    ///
+    /// @note  Notes reopen in no particular order on launch, hence note is shown once its own window opened (cf. getWindowNote()),
+    ///        rather than on the first one. Stops waiting after _PLACE_TIMEOUT, if note does not show up (e.g. closed note).
+    ///
+    openNote(uuid) {
+        if (this.active) {
+            return this.showNote(uuid);
+        }
+
+        const launched = this.launch();
+        if (launched) {
+            this._cancelOpenNote();
+            this._open_note_connection = connect_until(this, 'note-opened', (_, window) => {
+                if (this.getWindowNote(window) !== uuid) {
+                    return false;
+                }
+                this._open_note_connection = null;
+                this._cancelOpenNote();
+                this.showNote(uuid);
+                return true;
+            });
+            this._open_note_source_id = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, StickyNotesInterface._PLACE_TIMEOUT, () => {
+                this._open_note_source_id = null;
+                this._cancelOpenNote();
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+        return Boolean(launched);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops waiting for a note to open (cf. openNote()).
+    ///
+    _cancelOpenNote() {
+        this._open_note_connection?.destroy();
+        this._open_note_connection = null;
+
+        if (this._open_note_source_id) {
+            GLib.source_remove(this._open_note_source_id);
+            this._open_note_source_id = null;
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Hides (minimizes) a specific note.
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    /// @return     {Boolean}  True if note window was found, false otherwise.
+    ///
+    hideNote(uuid) {
+        const window = this.getNoteWindow(uuid);
+        window?.minimize();
+
+        return Boolean(window);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Closes a specific note.
+    ///
+    /// @param      {String}  uuid    Note identifier.
+    ///
+    /// @return     {Boolean}  True if note window was found, false otherwise.
+    ///
+    closeNote(uuid) {
+        const window = this.getNoteWindow(uuid);
+        window?.delete(global.get_current_time());
+
+        return Boolean(window);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Moves a specific note to given *monitor*, and brings it to front.
+    ///
+    /// @param      {String}  uuid            Note identifier.
+    /// @param      {Number}  [monitor=null]  Monitor index. Defaults to current monitor (i.e. under pointer).
+    ///
+    /// @return     {Boolean}  True if note window was found, false otherwise.
+    ///
+    moveNoteToMonitor(uuid, monitor = null) {
+        const window = this.getNoteWindow(uuid);
+        if (!window) {
+            return false;
+        }
+
+        window.move_to_monitor(monitor ?? global.display.get_current_monitor());
+        MultiWindowHandler.focus(window);
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Moves a specific note to given workspace.
+    ///
+    /// @param      {String}  uuid            Note identifier.
+    /// @param      {Number}  [index=null]    Workspace index. Defaults to active workspace.
+    ///
+    /// @return     {Boolean}  True if note window was found, false otherwise.
+    ///
+    moveNoteToWorkspace(uuid, index = null) {
+        const window = this.getNoteWindow(uuid);
+        if (!window) {
+            return false;
+        }
+
+        window.change_workspace_by_index(index ?? global.workspace_manager.get_active_workspace_index(), false);
+        return true;
+    }
+
     //--------------------------------------------------------------------------
     /// @brief Launches/starts 'Sticky Notes'.
     ///
     /// @return     {Boolean}   True if launch command exited sucessfully, false otherwise.
     ///
+    /// @note  While Sticky Notes is still being detected (cf. AppDetection), launch is postponed until detection completes.
+    ///
     launch() {
         if (this._launch_lock) {
             return;
         }
+        if (AppDetection.detecting) {
+            AppDetection.whenDetected(() => this.launch());
+            return true;
+        }
+        if (!StickyNotesInterface._LAUNCH_CMD) {
+            console.debug(this.constructor.name + ': Sticky Notes is not installed');
+            return false;
+        }
 
         const exit = execute_async(StickyNotesInterface._LAUNCH_CMD);
         this._launch_lock = !Boolean(exit);
@@ -216,39 +697,95 @@ export const StickyNotesInterface = GObject.registerClass({
     ///
     /// @param      {Array}   [at=[]]      Coordinates to place new note at, as *[col, row]*.
     ///
-    /// @note       Sticky Notes CLI does not allow creating a new note while the app is running;
-    ///             Current workaround is to exit app (close all notes) and launch with '-n' argument to create a new note.
-    ///             Ideally, this would be fixed upstream by updating app's CLI.
+    /// @note       When running, a new note is requested through the app's GApplication action (over D-Bus), keeping other notes untouched.
+    ///             If app is not running or action is not available, falls back to the CLI (cf. _newFromCommand()).
     ///
-    /// @note       Alternative implementation:
-    ///             1) from a Meta.Window instance, get titlebar and activate '+' Gtk.Widget directly (button.emit('activated')...)
-    ///             2) use Shel.App.activate_action('new') or similar
-    ///                cf. https://gnome.pages.gitlab.gnome.org/gnome-shell/shell/method.App.activate_action.html
+    /// @return     {Boolean}   True if request was dispatched, false otherwise.
     ///
     new(at = []) {
         if (this._launch_lock) {
-            return;
+            return false;
         }
-        if (this.active) {
-            this.close();
+
+        if (!this.active) {
+            return this._newFromCommand(at);
         }
 
-        const exit = execute_async(StickyNotesInterface._NEWNOTE_CMD);
-        this._launch_lock = !Boolean(exit);
+        /// @note when coordinates are provided, move the next opened note there (the action does not relaunch the app, hence no launch task).
+        ///
+        this._new_note_connection?.destroy();
+        this._new_note_connection = null;
+        if (at?.length === 2) {
+            this._new_note_connection = connect_until(this, 'note-opened', (_, window) => {
+                this._new_note_connection = null;
+                MultiWindowHandler.place(window, at[0], at[1]);
+                return true;
+            });
+        }
+
+        this._activateAppAction(StickyNotesInterface._NEW_NOTE_ACTION, () => {
+            this._new_note_connection?.destroy();
+            this._new_note_connection = null;
+            this._newFromCommand(at);
+        });
 
-        /// @note when coordinates are provided, move next window there through 'window-open' default handler (this._launch_tasks).
-        ///       alternatively, connecting to any signal emitted on a new window ('window-created', 'window-entered-monitor', etc) would work.
+        console.debug(this.constructor.name + `: new note`);
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Creates a new (empty) note through Sticky Notes CLI.
+    ///
+    /// @param      {Array}   [at=[]]      Coordinates to place new note at, as *[col, row]*.
+    ///
+    /// @note       Sticky Notes CLI does not allow creating a new note while the app is running;
+    ///             Workaround is to exit app (close all notes) and launch with '-n' argument to create a new note,
+    ///             which clears note open/hidden status, hence only used as fallback.
+    ///
+    /// @return     {Boolean}   True if command was launched, false otherwise.
+    ///
+    _newFromCommand(at = []) {
+        if (this._launch_lock) {
+            return false;
+        }
+        if (AppDetection.detecting) {
+            AppDetection.whenDetected(() => this._newFromCommand(at));
+            return true;
+        }
+        if (!AppInfo['process']) {
+            console.debug(this.constructor.name + ': Sticky Notes is not installed');
+            return false;
+        }
+        if (this.active) {
+            this.quit();
+        }
+
+        /// @note when coordinates are provided, move next window there through 'note-opened' default handler (this._launch_tasks).
         ///
-        if (!exit && at && at?.length === 2) {
+        if (at?.length === 2) {
             this._launch_tasks.push(MultiWindowHandler.moveTo.bind(null, AppInfo['wm-class'], at[0], at[1]));
         }
 
-        if (!exit) {
-            console.debug(this.constructor.name + `: new note`);
+        const exit = execute_async(StickyNotesInterface._NEWNOTE_CMD);
+        this._launch_lock = !Boolean(exit);
+
+        if (exit) {
+            this._launch_tasks.length = 0;
+        } else {
+            console.debug(this.constructor.name + `: new note (relaunched)`);
         }
         return !Boolean(exit);
     }
 
+    //--------------------------------------------------------------------------
+    /// @brief Gets workspace show/hide/toggle operations are restricted to.
+    ///
+    /// @return     {Meta.Workspace}  Active workspace if 'workspace-aware-notes' is enabled, null otherwise (i.e. all workspaces).
+    ///
+    _workspace() {
+        return this._settings.get_boolean('workspace-aware-notes') ? global.workspace_manager.get_active_workspace() : null;
+    }
+
     //--------------------------------------------------------------------------
     /// @brief Shows (brings to front) *n* notes/windows.
     ///
@@ -256,7 +793,7 @@ export const StickyNotesInterface = GObject.registerClass({
     /// @param      {boolean}  [newer_first=false]  Wether to show newer windows first.
     ///
     show(n = 0, newer_first = true) {
-        const wcount = MultiWindowHandler.activate(AppInfo['wm-class'], n, newer_first);
+        const wcount = MultiWindowHandler.activate(AppInfo['wm-class'], n, newer_first, this._workspace());
 
         if (wcount) {
             console.debug(this.constructor.name + `: shown ${wcount} notes`);
@@ -271,7 +808,7 @@ export const StickyNotesInterface = GObject.registerClass({
     /// @param      {boolean}  [newer_first=false]  Wether to hide newer windows first.
     ///
     hide(n = 0, newer_first = true) {
-        const wcount = MultiWindowHandler.minimize(AppInfo['wm-class'], n, newer_first);
+        const wcount = MultiWindowHandler.minimize(AppInfo['wm-class'], n, newer_first, this._workspace());
 
         if (wcount) {
             console.debug(this.constructor.name + `: hid ${wcount} notes`);
@@ -296,11 +833,323 @@ export const StickyNotesInterface = GObject.registerClass({
         return Boolean(wcount);
     }
 
+    //--------------------------------------------------------------------------
+    /// @brief Closes all notes/windows, including main window (aka 'All Notes') i.e. exits Sticky Notes.
+    ///
+    /// @note   Unlike close(), which only acts on notes (cf. MultiWindowHandler.isNote()) and would keep app running while main window is open.
+    ///
+    /// @return     {Boolean}   True if *at least* a window was closed, false otherwise.
+    ///
+    quit() {
+        const main_window = MultiWindowHandler.getMain(AppInfo['wm-class']);
+        main_window?.kill();
+
+        return this.close() || Boolean(main_window);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Runs given *task* on note files while Sticky Notes is closed, relaunching it afterwards (if running).
+    ///
+    /// @param      {Function}  task              Task, called with a completion callback to be called with task result.
+    /// @param      {Function}  [callback=null]   Called with task result.
+    ///
+    /// @note       Sticky Notes only reads notes on startup and writes them on exit, hence would otherwise ignore/overwrite changes.
+    ///             Launch is locked meanwhile, so that 'keep-alive' does not relaunch it halfway through; if app does not exit
+    ///             within _CLOSE_TIMEOUT, lock is released and *callback* is called with false (task is not run).
+    ///
+    /// @return     {Boolean}   True if task was started, false otherwise.
+    ///
+    _whileClosed(task, callback = null) {
+        if (this._launch_lock) {
+            return false;
+        }
+
+        const was_active = this.active;
+        const run = () => {
+            task((result) => {
+                this._launch_lock = false;
+                if (was_active) {
+                    this.launch();
+                }
+                callback?.(result);
+            });
+            return true;
+        };
+
+        this._launch_lock = true;
+        if (was_active && this.quit()) {
+            // give up (releasing launch lock) if app does not exit in time, rather than locking launch for good
+            let timeout_id = null;
+            const connection = connect_until(this, 'notify::active', () => {
+                if (this.active) {
+                    return false;
+                }
+                GLib.source_remove(timeout_id);
+                return run();
+            });
+            timeout_id = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, StickyNotesInterface._CLOSE_TIMEOUT, () => {
+                connection.destroy();
+                this._launch_lock = false;
+                console.debug(this.constructor.name + ': application did not exit in time, task cancelled');
+                callback?.(false);
+                return GLib.SOURCE_REMOVE;
+            });
+        } else {
+            run();
+        }
+
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Restores notes from given backup *archive*.
+    ///
+    /// @param      {String}    archive           Backup archive path (cf. create_backup()).
+    /// @param      {Function}  [callback=null]   Called with true if notes were restored, false otherwise.
+    ///
+    /// @return     {Boolean}   True if restore was started, false otherwise.
+    ///
+    restore(archive, callback = null) {
+        console.debug(this.constructor.name + `: restoring notes from '${archive}'`);
+
+        return this._whileClosed(restore_backup.bind(null, archive), callback);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Creates a new note with given *content*, without taking focus away from the focused window.
+    ///
+    /// @param      {String}    content           Note content.
+    /// @param      {Number}    style             Note style (cf. NoteStyle).
+    /// @param      {Array}     [at=[]]           Coordinates to place new note at, as *[col, row]*.
+    /// @param      {Function}  [callback=null]   Called with true if note was created, false otherwise.
+    ///
+    /// @note       Unlike new(), note is written directly to note directory while Sticky Notes is closed (cf. _whileClosed()),
+    ///             which keeps note open/hidden status; Sticky Notes is (re)launched afterwards, for note to show up.
+    ///
+    /// @note       Sticky Notes cannot be given note content while running, hence it is restarted; open notes reopen where they were,
+    ///             and hidden ones are hidden again (cf. _restoreNotes()).
+    ///
+    /// @return     {Boolean}   True if note creation was started, false otherwise.
+    ///
+    createNote(content, style, at = [], callback = null) {
+        if (this._launch_lock) {
+            return false;
+        }
+
+        const was_active = this.active;
+        const focus_window = global.display.get_focus_window();
+        const notes = new Map(this.note_windows.map((window) => {
+            const frame = window.get_frame_rect();
+            return [this.getWindowNote(window), { 'x': frame.x, 'y': frame.y, 'width': frame.width, 'height': frame.height,
+                'minimized': window.minimized }];
+        }).filter(([uuid]) => uuid));
+        let uuid = null;
+
+        return this._whileClosed((done) => write_note(content, style, (success, id) => {
+            uuid = id;
+            done(success);
+        }), (success) => {
+            if (success) {
+                if (at?.length === 2) {
+                    this._placeNote(uuid, content.split('\n').find((line) => line.trim().length) ?? '', at);
+                }
+                if (notes.size) {
+                    this._restoreNotes(notes);
+                }
+                // give focus back once notes have opened (and taken focus)
+                this._launch_tasks.push(this._refocus.bind(this, focus_window));
+                if (!was_active) {
+                    this.launch();
+                }
+            }
+            callback?.(success);
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Restores geometry and minimized state of given notes once they reopen (e.g. after a restart, cf. createNote()).
+    ///
+    /// @param      {Map}     notes   Note states, by note identifier, as objects with 'x', 'y', 'width', 'height' and 'minimized'.
+    ///
+    /// @note       Stops waiting after _PLACE_TIMEOUT, for notes that do not show up.
+    ///
+    _restoreNotes(notes) {
+        this._cancelRestoreNotes();
+
+        const pending = new Map(notes);
+        this._restore_notes_connection = connect_until(this, 'note-opened', (_, window) => {
+            const uuid = this.getWindowNote(window);
+            const note = pending.get(uuid);
+            if (!note) {
+                return false;
+            }
+
+            pending.delete(uuid);
+            MultiWindowHandler.place(window, note['x'], note['y'], note['width'], note['height']);
+            if (note['minimized']) {
+                window.minimize();
+            }
+            if (pending.size) {
+                return false;
+            }
+            this._restore_notes_connection = null;
+            this._cancelRestoreNotes();
+            return true;
+        });
+        this._restore_notes_source_id = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, StickyNotesInterface._PLACE_TIMEOUT, () => {
+            this._restore_notes_source_id = null;
+            this._cancelRestoreNotes();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops waiting for notes to reopen (cf. _restoreNotes()).
+    ///
+    _cancelRestoreNotes() {
+        this._restore_notes_connection?.destroy();
+        this._restore_notes_connection = null;
+
+        if (this._restore_notes_source_id) {
+            GLib.source_remove(this._restore_notes_source_id);
+            this._restore_notes_source_id = null;
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Gives focus back to given *window* shortly, once opening notes have taken it.
+    ///
+    /// @param      {Meta.Window}  window    Window to focus (ignored if null or closed meanwhile).
+    ///
+    _refocus(window) {
+        if (this._refocus_source_id) {
+            GLib.source_remove(this._refocus_source_id);
+        }
+        this._refocus_source_id = GLib.timeout_add(GLib.PRIORITY_DEFAULT, StickyNotesInterface._REFOCUS_DELAY, () => {
+            this._refocus_source_id = null;
+            if (window?.get_compositor_private()) {
+                MultiWindowHandler.focus(window);
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Writes given note file *contents* back to note directory (e.g. to reopen a closed note, or undo a deletion).
+    ///
+    /// @param      {String}    contents          Note file contents, written as is.
+    /// @param      {String}    path              Note file path.
+    /// @param      {Function}  [callback=null]   Called with true if note was restored, false otherwise.
+    ///
+    /// @return     {Boolean}   True if restore was started, false otherwise.
+    ///
+    restoreNote(contents, path, callback = null) {
+        const was_active = this.active;
+
+        return this._whileClosed((done) => write_note_file(contents, path, done), (success) => {
+            if (success && !was_active) {
+                this.launch();
+            }
+            callback?.(success);
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Moves window of note with given *uuid* to given coordinates once it opens.
+    ///
+    /// @param      {String}  uuid    Note identifier (cf. NoteStore).
+    /// @param      {String}  title   Note title (i.e. first line of content), as note file may not be loaded by note store yet.
+    /// @param      {Array}   at      Coordinates, as *[col, row]*.
+    ///
+    /// @note       Notes reopen in no particular order after a relaunch, hence the newest window is not necessarily the note (cf. new()).
+    ///             As windows do not expose note identifiers, the note window is matched by note title, and left in place if another
+    ///             open note shares that title. Stops waiting after _PLACE_TIMEOUT, if note does not show up.
+    ///
+    _placeNote(uuid, title, at) {
+        this._cancelPlaceNote();
+
+        const needle = title.trim().toLowerCase();
+        this._place_note_connection = connect_until(this, 'note-opened', (_, window) => {
+            if ((window.get_title() ?? '').trim().toLowerCase() !== needle) {
+                return false;
+            }
+
+            this._place_note_connection = null;
+            this._cancelPlaceNote();
+            const others = this._note_store?.list((other) => other['open'] && other['uuid'] !== uuid && other['title'].toLowerCase() === needle) ?? [];
+            if (others.length) {
+                console.debug(this.constructor.name + `: note ${uuid} not placed (title shared with another note)`);
+            } else {
+                MultiWindowHandler.place(window, at[0], at[1]);
+            }
+            return true;
+        });
+        this._place_note_source_id = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, StickyNotesInterface._PLACE_TIMEOUT, () => {
+            this._place_note_source_id = null;
+            this._cancelPlaceNote();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Stops waiting for a created note to open (cf. _placeNote()).
+    ///
+    _cancelPlaceNote() {
+        this._place_note_connection?.destroy();
+        this._place_note_connection = null;
+
+        if (this._place_note_source_id) {
+            GLib.source_remove(this._place_note_source_id);
+            this._place_note_source_id = null;
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Creates a new note with the text in the clipboard, or in the primary selection if clipboard holds no text.
+    ///
+    /// @param      {Array}   [at=[]]      Coordinates to place new note at once its window shows, as *[col, row]*.
+    ///
+    /// @note       Note color follows 'capture-note-style' setting; Sticky Notes is restarted if running (cf. createNote()).
+    ///
+    newFromClipboard(at = []) {
+        const clipboard = St.Clipboard.get_default();
+        const create = (text) => {
+            if (!text?.trim()) {
+                console.debug(this.constructor.name + ': no text in clipboard or primary selection');
+                return;
+            }
+            this.createNote(text.trim(), this._settings.get_int('capture-note-style'), at);
+        };
+
+        clipboard.get_text(St.ClipboardType.CLIPBOARD, (_, text) => {
+            if (text?.trim()) {
+                create(text);
+            } else {
+                clipboard.get_text(St.ClipboardType.PRIMARY, (_, primary) => create(primary));
+            }
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Imports given text/Markdown files as new notes.
+    ///
+    /// @param      {Array}     paths             Paths of files to import.
+    /// @param      {Number}    style             Note style of imported notes (cf. NoteStyle).
+    /// @param      {Function}  [callback=null]   Called with number of imported notes.
+    ///
+    /// @return     {Boolean}   True if import was started, false otherwise.
+    ///
+    importFiles(paths, style, callback = null) {
+        console.debug(this.constructor.name + `: importing ${paths.length} files`);
+
+        return this._whileClosed(import_files.bind(null, paths, style), callback);
+    }
+
     //--------------------------------------------------------------------------
     /// @brief Shows/hides notes/windows according to active/minimized status, respectively.
     ///
     toggle() {
-        if (MultiWindowHandler.count(AppInfo['wm-class'], true)) {
+        if (MultiWindowHandler.count(AppInfo['wm-class'], true, this._workspace())) {
             this.hide();
         } else {
             // @todo if already showing, bring to front (window.raise())
@@ -309,50 +1158,107 @@ export const StickyNotesInterface = GObject.registerClass({
     }
 
     //--------------------------------------------------------------------------
-    /// @brief Stacks all open notes at given coordinates *(x,y)* on primary monitor.
+    /// @brief Stacks all open notes on primary monitor.
+    ///
+    /// @note       Stack position defaults to upper left corner of work area (cf. 'arrange-stack-origin-x' and 'arrange-stack-origin-y' settings).
+    ///
+    stack() {
+        return this.arrange(Arrangement['Stack']);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Arranges all open notes according to given *mode*, with arrangement settings.
     ///
-    /// @param      {number}  [x=20]  Coordinates (pixel column #)
-    /// @param      {number}  [y=50]  Coordinates (pixel row #)
+    /// @param      {Number}  mode    Arrangement mode (cf. Arrangement).
     ///
-    /// @note       Stack position default to upper left corner.
+    /// @note       'Stack' arranges notes on primary monitor, all other modes on current monitor (i.e. under pointer).
+    /// @note       Origin and spacing are read from the settings of given *mode* (cf. ArrangementKeys), note size is shared by all modes.
     ///
-    stack(x = 20, y = 50) {
-        const wcount = MultiWindowHandler.moveTo(AppInfo['wm-class'], x, y, global.display.get_primary_monitor(), 0 /* force all windows */, true);
+    /// @return     {Boolean}  True if at least a note was arranged, false otherwise.
+    ///
+    arrange(mode) {
+        const keys = ArrangementKeys[mode];
+        if (!keys) {
+            return false;
+        }
+
+        const monitor = (mode === Arrangement['Stack']) ? global.display.get_primary_monitor() : global.display.get_current_monitor();
+        const options = {
+            'origin'  : [ this._settings.get_int(`${keys}-origin-x`), this._settings.get_int(`${keys}-origin-y`) ],
+            'spacing' : this._settings.settings_schema.has_key(`${keys}-spacing`) ? this._settings.get_int(`${keys}-spacing`) : 0,
+            'size'    : this._settings.get_boolean('arrange-normalize-size')
+                        ? [ this._settings.get_int('arrange-note-width'), this._settings.get_int('arrange-note-height') ]
+                        : null,
+            'edge'    : this._settings.get_int('arrange-column-edge'),
+        };
 
-        console.debug(this.constructor.name + `: stacked ${wcount} notes`);
+        const wcount = NoteArranger.arrange(MultiWindowHandler.get(AppInfo['wm-class']), mode, monitor, options);
+
+        console.debug(this.constructor.name + `: arranged ${wcount} notes [mode: ${mode}]`);
         return Boolean(wcount);
     }
 
+    //--------------------------------------------------------------------------
+    /// @brief Activates given GApplication *action* of Sticky Notes (over the session bus), if exported.
+    ///
+    /// @param      {String}    action           Action name.
+    /// @param      {Function}  [fallback=null]  Called if app is not running or *action* is not exported.
+    ///
+    /// @note  Asynchronous, as exported actions need to be listed first.
+    ///
+    _activateAppAction(action, fallback = null) {
+        list_app_actions(AppInfo['id'], (exported) => {
+            if (exported?.includes(action)) {
+                activate_app_action(AppInfo['id'], action);
+            } else {
+                console.debug(this.constructor.name + `: action '${action}' not exported by '${AppInfo['id']}'`);
+                fallback?.();
+            }
+        });
+    }
+
     //--------------------------------------------------------------------------
     /// @brief Open Sticky Notes main window (aka 'All Notes').
     ///
+    /// @note  Activates app action over D-Bus if available, otherwise activates app through Shell.App (which opens main window on running instances),
+    ///        launching it if not running.
+    ///
+    /// @return     {Boolean}  True if request was dispatched, false otherwise.
+    ///
     main() {
-        // ...
-        // @note possible upstream implementations:
-        //       1) extra CLI option to open main window
-        //       2) different title/wm_class on main window
-        //       3) ...
-        // ...
-        console.debug(this.constructor.name + ": unable to open 'All Notes': feature not (yet) implemented!");
+        const app = Shell.AppSystem.get_default().lookup_app(AppInfo['id'] + '.desktop');
+
+        if (!app) {
+            console.debug(this.constructor.name + ': Sticky Notes is not installed');
+            return false;
+        }
+
+        this._activateAppAction(StickyNotesInterface._MAIN_WINDOW_ACTION, () => app.activate());
 
-        return false;
+        console.debug(this.constructor.name + ": opening 'All Notes'");
+        return true;
     }
 
     //--------------------------------------------------------------------------
-    /// @brief Show all notes on shell overview.
+    /// @brief Show all notes side by side on an overview-like spread (cf. NoteSpread), closing it if already open.
     ///
     /// @see 'App Spread' feature in Dash-to-dock Gnome Shell extension.
     ///
+    /// @return     {Boolean}  True if spread was opened, false otherwise.
+    ///
     spread() {
-        // ...
-        // @note possible implementations:
-        //       1a) import appSpread module from dash-to-dock if available
-        //       1b) use Shell.App object associated with Sticky Notes
-        //       2) ...
-        // ...
-        console.debug(this.constructor.name + ": unable to perform 'Note Spread': feature not (yet) implemented!");
-
-        return false;
+        if (this._spread?.is_open) {
+            this._spread.close();
+            return false;
+        }
+
+        this._spread ??= new NoteSpread();
+        const opened = this._spread.open(MultiWindowHandler.get(AppInfo['wm-class']));
+
+        if (opened) {
+            console.debug(this.constructor.name + `: spread ${this._n_windows} notes`);
+        }
+        return opened;
     }
 
     //--------------------------------------------------------------------------
@@ -0,0 +1,206 @@
+import GObject from 'gi://GObject';
+import Gio from 'gi://Gio';
+import St from 'gi://St';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import { AppInfo } from '../lib/globals.js';
+
+//------------------------------------------------------------------------------
+/// @brief Class implementing a GNOME Shell search provider for note contents.
+///
+/// @note  Searches notes in note store (i.e. files under *AppInfo['note-path']*), matching all search terms against note title and content.
+///        Activating a result launches Sticky Notes (if necessary) and brings the note to front.
+///
+/// @see   https://gjs.guide/extensions/topics/search-provider.html
+///
+export const StickyNotesSearchProvider = GObject.registerClass({
+    GTypeName: 'StickyNotesSearchProvider'
+}, class StickyNotesSearchProvider extends GObject.Object {
+    //--------------------------------------------------------------------------
+    /// @brief Maximum length of result descriptions (content snippets).
+    ///
+    /// @type       {Number}
+    ///
+    static get _SNIPPET_LENGTH() { return 80; }
+
+    //--------------------------------------------------------------------------
+    /// @brief Constructs a new instance.
+    ///
+    /// @param      {Extension}             extension       Extension instance.
+    /// @param      {StickyNotesInterface}  sticky_notes    StickyNotesInterface instance providing app interface and note store.
+    ///
+    constructor(extension, sticky_notes) {
+        super();
+
+        this._extension = extension;
+        this._sticky_notes = sticky_notes;
+        this._app_info = Gio.DesktopAppInfo.new(AppInfo['id'] + '.desktop');
+        this._registered = false;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Application associated with search results (used by shell for result header).
+    ///
+    /// @type       {Gio.DesktopAppInfo}
+    ///
+    get appInfo() {
+        return this._app_info;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Whether 'launchSearch' is supported.
+    ///
+    /// @type       {Boolean}
+    ///
+    get canLaunchSearch() {
+        return false;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Unique provider identifier.
+    ///
+    /// @type       {String}
+    ///
+    get id() {
+        return this._extension.uuid;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Registers provider in shell overview.
+    ///
+    /// @return     {Boolean}  True if registered, False otherwise (e.g. Sticky Notes desktop file not found).
+    ///
+    enable() {
+        if (this._registered || !this._app_info || !this._sticky_notes.notes) {
+            return this._registered;
+        }
+
+        Main.overview.searchController.addProvider(this);
+        this._registered = true;
+
+        return true;
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Unregisters provider from shell overview.
+    ///
+    disable() {
+        if (this._registered) {
+            Main.overview.searchController.removeProvider(this);
+            this._registered = false;
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Finds notes matching *all* given search *terms*.
+    ///
+    /// @param      {Array}  terms       Search terms.
+    /// @param      {Array}  [ids=null]  Identifiers to restrict search to (all notes if null).
+    ///
+    /// @return     {Array}  Matching note identifiers.
+    ///
+    _search(terms, ids = null) {
+        const needles = terms.map((term) => term.toLowerCase());
+        const match = (note) => {
+            const haystack = (note['title'] + '\n' + note['content']).toLowerCase();
+            return needles.every((needle) => haystack.includes(needle));
+        };
+
+        return this._sticky_notes.notes.list((note) => (!ids || ids.includes(note['uuid'])) && match(note))
+            .map((note) => note['uuid']);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Initiates a new search.
+    ///
+    /// @param      {Array}             terms         Search terms.
+    /// @param      {Gio.Cancellable}   cancellable   Cancellable for the operation.
+    ///
+    /// @return     {Promise<Array>}    Matching note identifiers.
+    ///
+    getInitialResultSet(terms, cancellable) {
+        return Promise.resolve(this._search(terms));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Refines a previous search.
+    ///
+    /// @param      {Array}             results       Previous results.
+    /// @param      {Array}             terms         Search terms.
+    /// @param      {Gio.Cancellable}   cancellable   Cancellable for the operation.
+    ///
+    /// @return     {Promise<Array>}    Matching note identifiers.
+    ///
+    getSubsearchResultSet(results, terms, cancellable) {
+        return Promise.resolve(this._search(terms, results));
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Gets result metadata for given note identifiers.
+    ///
+    /// @param      {Array}             ids           Note identifiers.
+    /// @param      {Gio.Cancellable}   cancellable   Cancellable for the operation.
+    ///
+    /// @return     {Promise<Array>}    Result metadata, with 'id', 'name', 'description' and 'createIcon'.
+    ///
+    getResultMetas(ids, cancellable) {
+        const metas = [];
+        for (const id of ids) {
+            const note = this._sticky_notes.notes.get(id);
+            if (!note) {
+                continue;
+            }
+            const snippet = note['content'].replace(/\s+/g, ' ').trim();
+            metas.push({
+                'id': id,
+                'name': note['title'] || 'Untitled',
+                'description': snippet.length > StickyNotesSearchProvider._SNIPPET_LENGTH
+                    ? snippet.slice(0, StickyNotesSearchProvider._SNIPPET_LENGTH - 1) + '…'
+                    : snippet,
+                'createIcon': (size) => new St.Icon({
+                    icon_name: 'media-record-symbolic',
+                    icon_size: size,
+                    style: `color: ${note['color']};`,
+                }),
+            });
+        }
+
+        return Promise.resolve(metas);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Limits number of results.
+    ///
+    /// @param      {Array}   results       Note identifiers.
+    /// @param      {Number}  max_results   Maximum number of results.
+    ///
+    /// @return     {Array}   Truncated results.
+    ///
+    filterResults(results, max_results) {
+        return results.slice(0, max_results);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Activates given search result i.e. brings note to front, launching Sticky Notes if not running.
+    ///
+    /// @param      {String}  id      Note identifier.
+    /// @param      {Array}   terms   Search terms.
+    ///
+    activateResult(id, terms) {
+        this._sticky_notes.openNote(id);
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Launches search in provider application (unsupported, cf. canLaunchSearch).
+    ///
+    launchSearch(terms) {
+    }
+
+    //--------------------------------------------------------------------------
+    /// @brief Creates custom result actor (none, default result items are used).
+    ///
+    createResultObject(meta) {
+        return null;
+    }
+});